@@ -0,0 +1,24 @@
+const { processEmailOutbox } = require('../utils/emailOutboxHelper');
+
+const JOB_NAME = 'emailOutbox';
+
+// Check every minute for emails whose next attempt is due
+const INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || 60 * 1000;
+
+// Emails delivered per run; the rest wait for the next run
+const BATCH_SIZE = parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE, 10) || 50;
+
+// Retry queued emails whose backoff has passed
+const runEmailOutbox = async () => {
+  const summary = await processEmailOutbox({ limit: BATCH_SIZE });
+  if (summary.processed > 0) {
+    console.log(`📤 Email outbox: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed`);
+  }
+  return summary;
+};
+
+module.exports = {
+  JOB_NAME,
+  INTERVAL_MS,
+  runEmailOutbox
+};
@@ -0,0 +1,48 @@
+const { getFollowUpReminders } = require('../utils/quotationHelper');
+const { notifyUser } = require('../utils/notificationService');
+
+const JOB_NAME = 'followUpReminder';
+
+// Local time the daily reminders are sent
+const DAILY_AT = process.env.FOLLOW_UP_REMINDER_TIME || '08:00';
+
+// Notify creators and marketing owners about open quotations that need a follow-up
+const runFollowUpReminders = async () => {
+  const reminders = await getFollowUpReminders();
+  const summary = {
+    recipients: reminders.length, notificationsSent: 0, emailsSent: 0, emailsRetrying: 0, emailsFailed: 0, digestQueued: 0
+  };
+
+  for (const { user, quotations } of reminders) {
+    const dangerCount = quotations.filter(q => q.followUpStatus.status === 'danger').length;
+    const warningCount = quotations.length - dangerCount;
+
+    try {
+      const result = await notifyUser({
+        userId: user._id,
+        type: 'follow_up_reminder',
+        title: 'Follow-up reminder',
+        description: `${quotations.length} open quotation(s) need a follow-up: ${dangerCount} overdue, ${warningCount} due soon.`,
+        emailData: { quotations }
+      });
+      if (result.inApp) summary.notificationsSent += 1;
+      if (result.email) {
+        if (result.email.success) summary.emailsSent += 1;
+        else if (result.email.status === 'queued') summary.emailsRetrying += 1;
+        else summary.emailsFailed += 1;
+      }
+      if (result.digest) summary.digestQueued += 1;
+    } catch (error) {
+      console.error(`Error sending follow-up reminder to user ${user._id}:`, error);
+    }
+  }
+
+  console.log(`🔔 Follow-up reminders sent to ${summary.recipients} user(s)`);
+  return summary;
+};
+
+module.exports = {
+  JOB_NAME,
+  DAILY_AT,
+  runFollowUpReminders
+};
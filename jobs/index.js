@@ -0,0 +1,45 @@
+const { registerJob, startScheduler } = require('./scheduler');
+const offerExpiryJob = require('./offerExpiryJob');
+const followUpReminderJob = require('./followUpReminderJob');
+const notificationDigestJob = require('./notificationDigestJob');
+const emailOutboxJob = require('./emailOutboxJob');
+
+// Register all background jobs and start the scheduler
+const startJobs = () => {
+  registerJob({
+    name: offerExpiryJob.JOB_NAME,
+    intervalMs: offerExpiryJob.INTERVAL_MS,
+    handler: offerExpiryJob.runOfferExpiry,
+    runOnStart: true,
+    description: 'Mark offers past their validUntil as expired and notify the marketing owner'
+  });
+
+  registerJob({
+    name: followUpReminderJob.JOB_NAME,
+    dailyAt: followUpReminderJob.DAILY_AT,
+    handler: followUpReminderJob.runFollowUpReminders,
+    description: 'Remind creators and marketing owners of open quotations that need a follow-up'
+  });
+
+  registerJob({
+    name: notificationDigestJob.JOB_NAME,
+    dailyAt: notificationDigestJob.DAILY_AT,
+    handler: notificationDigestJob.runNotificationDigest,
+    description: 'Email users the notifications they receive as a daily digest'
+  });
+
+  registerJob({
+    name: emailOutboxJob.JOB_NAME,
+    intervalMs: emailOutboxJob.INTERVAL_MS,
+    handler: emailOutboxJob.runEmailOutbox,
+    runOnStart: true,
+    isIdle: (result) => result.processed === 0,
+    description: 'Retry queued emails in the email outbox with backoff'
+  });
+
+  startScheduler();
+};
+
+module.exports = {
+  startJobs
+};
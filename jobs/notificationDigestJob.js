@@ -0,0 +1,21 @@
+const { sendNotificationDigests } = require('../utils/notificationService');
+
+const JOB_NAME = 'notificationDigest';
+
+// Local time the daily digest emails are sent
+const DAILY_AT = process.env.NOTIFICATION_DIGEST_TIME || '07:00';
+
+// Email every user the notifications they chose to receive as a daily digest
+const runNotificationDigest = async () => {
+  const summary = await sendNotificationDigests();
+  if (summary.recipients > 0) {
+    console.log(`📬 Digest emails sent to ${summary.emailsSent} of ${summary.recipients} user(s)`);
+  }
+  return summary;
+};
+
+module.exports = {
+  JOB_NAME,
+  DAILY_AT,
+  runNotificationDigest
+};
@@ -0,0 +1,48 @@
+const { expireOffers } = require('../utils/quotationHelper');
+const { notifyUser } = require('../utils/notificationService');
+
+const JOB_NAME = 'offerExpiry';
+
+// Check hourly so offers expire shortly after their validUntil
+const INTERVAL_MS = parseInt(process.env.OFFER_EXPIRY_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Expire offers whose validity has passed and notify the marketing owner
+const runOfferExpiry = async () => {
+  const { expired, failed } = await expireOffers(new Date());
+
+  for (const { offer, header } of expired) {
+    try {
+      if (!header.requesterId) continue;
+      await notifyUser({
+        userId: header.requesterId,
+        title: 'Offer expired',
+        description: `Offer ${offer.offerNumber} for ${header.customerName} expired. Extend its validity or follow up with the customer.`,
+        type: 'offer_expired',
+        entityType: 'QuotationHeader',
+        entityId: header._id,
+        entityNumber: header.quotationNumber
+      });
+    } catch (error) {
+      console.error(`Error notifying expiry of offer ${offer.offerNumber}:`, error);
+    }
+  }
+
+  if (expired.length > 0) {
+    console.log(`⌛ Expired ${expired.length} offer(s)`);
+  }
+  if (failed.length > 0) {
+    console.error(`⚠️  ${failed.length} offer(s) could not be expired`);
+  }
+  return {
+    expiredCount: expired.length,
+    offers: expired.map(({ offer }) => offer.offerNumber),
+    failedCount: failed.length,
+    failed
+  };
+};
+
+module.exports = {
+  JOB_NAME,
+  INTERVAL_MS,
+  runOfferExpiry
+};
@@ -0,0 +1,181 @@
+// =============================================================================
+// IN-PROCESS JOB SCHEDULER
+// =============================================================================
+// Runs registered background jobs inside the API process, either at a fixed
+// interval or once a day at a given time. A job never overlaps with itself;
+// every run is recorded in the JobRun collection.
+
+const JobRun = require('../models/jobRun.model');
+
+const jobs = new Map();
+
+/**
+ * Register a background job
+ * @param {Object} params
+ * @param {string} params.name - Unique job name
+ * @param {Function} params.handler - async () => result summary
+ * @param {number} [params.intervalMs] - Time between runs
+ * @param {string} [params.dailyAt] - Run once a day at this local time (HH:MM) instead of an interval
+ * @param {boolean} [params.runOnStart] - Run once as soon as the scheduler starts
+ * @param {string} [params.description] - Human readable description
+ * @param {Function} [params.isIdle] - (result) => true when a scheduled run did nothing; such runs are not kept in the history
+ */
+const registerJob = ({ name, handler, intervalMs = null, dailyAt = null, runOnStart = false, description = '', isIdle = null }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  if (!intervalMs && !dailyAt) {
+    throw new Error(`Job ${name} needs an intervalMs or dailyAt schedule`);
+  }
+  jobs.set(name, { name, handler, intervalMs, dailyAt, runOnStart, description, isIdle, timers: [], running: false, nextRunAt: null });
+};
+
+// Milliseconds until the next HH:MM local time
+const msUntilDailyTime = (dailyAt, now = new Date()) => {
+  const [hours, minutes] = dailyAt.split(':').map(value => parseInt(value, 10));
+  const next = new Date(now);
+  next.setHours(hours || 0, minutes || 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - now;
+};
+
+/**
+ * Run a job now unless it is already running
+ * @param {string} name - Job name
+ * @param {Object} [options] - { trigger: 'schedule' | 'startup' | 'manual', triggeredBy }
+ * @returns {Promise<Object|null>} Saved run, or null when the job was already running
+ */
+const runJob = async (name, { trigger = 'schedule', triggeredBy = null } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) {
+    console.log(`⏭️  Job ${name} is still running, skipping`);
+    return null;
+  }
+
+  job.running = true;
+  const run = new JobRun({ jobName: name, trigger, triggeredBy: triggeredBy || undefined });
+  try {
+    await run.save();
+    run.result = await job.handler();
+    run.status = 'success';
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    job.running = false;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  try {
+    // Frequent jobs that found nothing to do would flood the history
+    if (trigger !== 'manual' && run.status === 'success' && job.isIdle && job.isIdle(run.result)) {
+      await JobRun.deleteOne({ _id: run._id });
+      return run;
+    }
+    await run.save();
+  } catch (error) {
+    console.error(`Error saving run of job ${name}:`, error);
+  }
+  return run;
+};
+
+// Schedule the next daily run of a job
+const scheduleDaily = (job) => {
+  const delay = msUntilDailyTime(job.dailyAt);
+  job.nextRunAt = new Date(Date.now() + delay);
+  const timer = setTimeout(async () => {
+    await runJob(job.name);
+    scheduleDaily(job);
+  }, delay);
+  job.timers = [timer];
+};
+
+// Start timers of all registered jobs
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timers.length > 0) return;
+
+    if (job.dailyAt) {
+      scheduleDaily(job);
+      console.log(`⏰ Scheduled job ${job.name} daily at ${job.dailyAt}`);
+    } else {
+      job.timers = [setInterval(() => {
+        job.nextRunAt = new Date(Date.now() + job.intervalMs);
+        runJob(job.name);
+      }, job.intervalMs)];
+      job.nextRunAt = new Date(Date.now() + job.intervalMs);
+      console.log(`⏰ Scheduled job ${job.name} every ${Math.round(job.intervalMs / 60000)} min`);
+    }
+
+    if (job.runOnStart) {
+      runJob(job.name, { trigger: 'startup' });
+    }
+  });
+};
+
+// Stop all timers
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    job.timers.forEach(timer => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    job.timers = [];
+    job.nextRunAt = null;
+  });
+};
+
+// Registered jobs with their schedule
+const getJobs = () => Array.from(jobs.values()).map(job => ({
+  name: job.name,
+  description: job.description,
+  schedule: job.dailyAt ? `daily at ${job.dailyAt}` : `every ${Math.round(job.intervalMs / 60000)} min`,
+  running: job.running,
+  nextRunAt: job.nextRunAt
+}));
+
+/**
+ * Get run history, newest first
+ * @param {Object} [filters] - { jobName, status }
+ * @param {Object} [pagination] - { page, limit }
+ */
+const getJobRuns = async (filters = {}, pagination = { page: 1, limit: 20 }) => {
+  const { page, limit } = pagination;
+  const query = {};
+  if (filters.jobName) query.jobName = filters.jobName;
+  if (filters.status) query.status = filters.status;
+
+  const [runs, total] = await Promise.all([
+    JobRun.find(query)
+      .populate('triggeredBy', 'fullName email')
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    JobRun.countDocuments(query)
+  ]);
+
+  return {
+    runs,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobs,
+  getJobRuns
+};
@@ -0,0 +1,63 @@
+const QuotationHeader = require('../models/quotationHeader.model');
+const QuotationOffer = require('../models/quotationOffer.model');
+const { isQuotationLocked } = require('../utils/quotationStatusHelper');
+
+// Won, lost and closed quotations are locked: changes are rejected with 409 until the
+// quotation is reopened or an admin unlocks it.
+const sendLockedResponse = (res, header) => res.status(409).json({
+  success: false,
+  message: `Quotation ${header.quotationNumber} is locked because its status is ${header.status.type}. Reopen it or ask an admin to unlock it before making changes.`,
+  data: {
+    quotationNumber: header.quotationNumber,
+    status: header.status.type,
+    lockedSince: header.status.changedAt || header.updatedAt
+  }
+});
+
+const sendLockCheckError = (res, error) => {
+  console.error('Error checking quotation lock:', error);
+  res.status(400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Routes that address the quotation by number (:quotationNumber) or by number or id (:quotationId)
+const rejectLockedQuotation = async (req, res, next) => {
+  try {
+    const reference = req.params.quotationNumber || req.params.quotationId;
+    let header = await QuotationHeader.findOne({ quotationNumber: reference });
+    if (!header && /^[0-9a-fA-F]{24}$/.test(reference)) {
+      header = await QuotationHeader.findById(reference);
+    }
+
+    if (header && isQuotationLocked(header)) {
+      return sendLockedResponse(res, header);
+    }
+    next();
+  } catch (error) {
+    sendLockCheckError(res, error);
+  }
+};
+
+// Routes that address an offer by id only (:offerId); the lock of its quotation applies
+const rejectLockedOffer = async (req, res, next) => {
+  try {
+    const { offerId } = req.params;
+    if (!/^[0-9a-fA-F]{24}$/.test(offerId)) return next();
+
+    const offer = await QuotationOffer.findById(offerId).select('quotationHeaderId');
+    const header = offer && await QuotationHeader.findById(offer.quotationHeaderId);
+    if (header && isQuotationLocked(header)) {
+      return sendLockedResponse(res, header);
+    }
+    next();
+  } catch (error) {
+    sendLockCheckError(res, error);
+  }
+};
+
+module.exports = {
+  rejectLockedQuotation,
+  rejectLockedOffer
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Audit Log Schema - who changed what on quotation headers, offers and items
+const auditLogSchema = new mongoose.Schema({
+  // Quotation the change belongs to (number is kept so history survives deletion)
+  quotationHeaderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuotationHeader'
+  },
+  quotationNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Changed entity
+  entityType: {
+    type: String,
+    enum: ['QuotationHeader', 'QuotationOffer', 'OfferItem'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+
+  // Field level before/after values
+  changes: [{
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Actor (optional for system changes such as migrations)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ quotationNumber: 1, createdAt: -1 });
+auditLogSchema.index({ quotationHeaderId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1 });
+auditLogSchema.index({ actorId: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Counter Schema - atomic sequence per document type, period and scope
+const counterSchema = new mongoose.Schema({
+  // e.g. quotation:2025-01 or offer:all:1/QUO/STM/I/2025
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Customer Address Schema
+const customerAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Office'
+  },
+  street: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  province: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'Indonesia'
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Customer Contact Schema - same name/gender shape as contactPerson on RFQs and quotations
+const customerContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  gender: {
+    type: String,
+    enum: ['Male', 'Female', 'Other'],
+    required: true
+  },
+  // Job title, e.g. Purchasing Manager
+  title: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Customer Schema - master data referenced by RFQs and quotations
+const customerSchema = new mongoose.Schema({
+  legalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Other spellings of the name, e.g. "PT. ABC Tbk" for "PT ABC"
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized legal name and aliases, used for search and duplicate detection
+  searchNames: [{
+    type: String
+  }],
+  // NPWP, stored as digits only
+  taxId: {
+    type: String,
+    trim: true
+  },
+  addresses: [customerAddressSchema],
+  contacts: [customerContactSchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set when this customer was merged into another one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+customerSchema.index({ searchNames: 1 });
+customerSchema.index({ taxId: 1 }, { unique: true, partialFilterExpression: { taxId: { $type: 'string', $gt: '' } } });
+customerSchema.index({ isActive: 1, legalName: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
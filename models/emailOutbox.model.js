@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Days sent emails are kept before they are removed; queued and failed emails are kept until resolved
+const SENT_RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS, 10) || 30;
+
+// One delivery attempt of an outbox email
+const deliveryAttemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: {
+    type: Number,
+    min: 0
+  },
+  messageId: {
+    type: String
+  },
+  // SMTP response of an accepted message
+  response: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  // Resend requested by an admin before this attempt
+  resendBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Email Outbox Schema - every outgoing email, kept until it is delivered or gives up
+const emailOutboxSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  html: {
+    type: String,
+    default: ''
+  },
+  // queued: waiting for (another) attempt, sending: attempt in progress, failed: gave up
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current attempt was claimed; attempts stuck in sending are picked up again
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  // Only sent emails have sentAt; the TTL index removes them after the retention period
+  sentAt: {
+    type: Date,
+    index: { expires: SENT_RETENTION_DAYS * 24 * 60 * 60 }
+  },
+  deliveryLog: [deliveryAttemptSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Exchange Rate Schema - value of one unit of a currency in the base currency, by date
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 code, e.g. USD
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Base currency amount for 1 unit of the currency (e.g. 15500 IDR per USD)
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The rate applies from this date until the next rate of the same currency
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
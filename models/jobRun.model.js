@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Days job runs are kept in the history
+const RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+// Job Run Schema - history of background job executions
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'startup', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: { expires: RUN_RETENTION_DAYS * 24 * 60 * 60 } // TTL index: runs older than the retention are removed
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number,
+    min: 0
+  },
+  // Summary returned by the job handler
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
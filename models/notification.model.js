@@ -1,6 +1,5 @@
 const mongoose = require('mongoose');
-
-const TEN_DAYS_MS = 10 * 24 * 60 * 60 * 1000;
+const { NOTIFICATION_TYPES, NOTIFICATION_CATEGORIES, NOTIFICATION_ENTITY_TYPES } = require('../utils/notificationTypes');
 
 const notificationSchema = new mongoose.Schema({
   userId: {
@@ -9,6 +8,16 @@ const notificationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    default: 'system'
+  },
+  category: {
+    type: String,
+    enum: NOTIFICATION_CATEGORIES,
+    default: 'system'
+  },
   title: {
     type: String,
     required: true,
@@ -19,6 +28,21 @@ const notificationSchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+  // Record the notification is about; the frontend builds its own route from these
+  entityType: {
+    type: String,
+    enum: [...NOTIFICATION_ENTITY_TYPES, null],
+    default: null
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Document number of the record (RFQ or quotation number) for display and routing
+  entityNumber: {
+    type: String,
+    trim: true
+  },
+  // Absolute link of notifications created before entity references existed
   link: {
     type: String,
     default: '',
@@ -29,15 +53,28 @@ const notificationSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  readAt: {
+    type: Date
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Set from the notificationRetentionDays setting when the notification is created
   expires: {
     type: Date,
-    default: () => new Date(Date.now() + TEN_DAYS_MS),
+    required: true,
     index: { expires: 0 } // TTL index based on expires field
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Notification', notificationSchema);
-
+// Indexes for better performance
+notificationSchema.index({ userId: 1, isArchived: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, category: 1, createdAt: -1 });
 
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION_ENTITY_TYPES, NOTIFICATION_CHANNELS } = require('../utils/notificationTypes');
+
+// Channels chosen for one event type; an empty list turns the event off
+const eventPreferenceSchema = new mongoose.Schema({
+  eventType: {
+    type: String,
+    required: true,
+    enum: Object.keys(NOTIFICATION_TYPES)
+  },
+  channels: [{
+    type: String,
+    enum: NOTIFICATION_CHANNELS
+  }]
+}, { _id: false });
+
+// Notification waiting for the user's next daily digest email
+const digestItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: [...NOTIFICATION_ENTITY_TYPES, null],
+    default: null
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  entityNumber: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Notification Preference Schema - one document per user; event types without an entry use the defaults
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  preferences: [eventPreferenceSchema],
+  digestQueue: [digestItemSchema],
+  lastDigestSentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationPreferenceSchema.index({ 'digestQueue.0': 1 });
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
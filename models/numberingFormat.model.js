@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Numbering Format Model
+ * Per document type template used by the numbering service.
+ * Supported template tokens: {seq}, {prefix}, {romanMonth}, {month}, {year}, {yy}, {parent}
+ */
+const numberingFormatSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['quotation', 'offer', 'offer_revision', 'rfq'],
+    required: true,
+    unique: true
+  },
+  template: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return v.includes('{seq}');
+      },
+      message: 'Template must contain the {seq} token'
+    }
+  },
+  prefix: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Minimum digits of the sequence, zero padded (0 = no padding)
+  padding: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  // When the sequence restarts from 1
+  resetPeriod: {
+    type: String,
+    enum: ['never', 'yearly', 'monthly'],
+    default: 'monthly'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NumberingFormat', numberingFormatSchema);
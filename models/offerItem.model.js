@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { calculateLineTotals } = require('../utils/pricingHelper');
 
 // Offer Item Schema - individual karoseri/chassis combinations within an offer
 const offerItemSchema = new mongoose.Schema({
@@ -79,6 +80,40 @@ const offerItemSchema = new mongoose.Schema({
     default: false
   },
 
+  // Line totals (unit price × quantity minus discount)
+  lineTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lineDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lineNetto: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Tax breakdown - calculated by the offer from the PPN rate in effect
+  dpp: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  ppnAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   // Acceptance tracking
   isAccepted: {
     type: Boolean,
@@ -116,6 +151,10 @@ offerItemSchema.index({ createdAt: -1 });
 
 // Pre-save middleware
 offerItemSchema.pre('save', function(next) {
+  // Recalculate unit netto and line totals; a netto is only kept when it is set in this change,
+  // so removing a discount or changing the price recalculates it
+  Object.assign(this, calculateLineTotals(this, { keepNetto: this.isModified('netto') }));
+
   // Set acceptedAt when isAccepted becomes true
   if (this.isModified('isAccepted') && this.isAccepted && !this.acceptedAt) {
     this.acceptedAt = new Date();
@@ -1,4 +1,78 @@
 const mongoose = require('mongoose');
+const { QUOTATION_STATUSES } = require('../utils/quotationStatusHelper');
+
+// Follow-up Schema - one contact moment with the customer
+const followUpSchema = new mongoose.Schema({
+  activityType: {
+    type: String,
+    enum: ['call', 'visit', 'email', 'whatsapp', 'other'],
+    required: true
+  },
+  activityDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Person spoken to at the customer
+  contactName: {
+    type: String,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nextFollowUpDate: {
+    type: Date
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Status Transition Schema - one status change, kept to measure cycle times
+const statusTransitionSchema = new mongoose.Schema({
+  fromStatus: {
+    type: String,
+    enum: [...QUOTATION_STATUSES, null]
+  },
+  toStatus: {
+    type: String,
+    enum: QUOTATION_STATUSES,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  reasonCode: {
+    type: String,
+    trim: true
+  },
+  reasonNote: {
+    type: String,
+    trim: true
+  },
+  competitor: {
+    type: String,
+    trim: true
+  },
+  selectedOfferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuotationOffer'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 // Quotation Header Schema - shared information across all offers
 const quotationHeaderSchema = new mongoose.Schema({
@@ -31,7 +105,12 @@ const quotationHeaderSchema = new mongoose.Schema({
     required: true
   },
 
-  // Customer information - shared across all offers
+  // Customer information - shared across all offers.
+  // customerName and contactPerson are kept as a snapshot of the customer at creation.
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customerName: {
     type: String,
     required: true,
@@ -50,13 +129,61 @@ const quotationHeaderSchema = new mongoose.Schema({
     }
   },
 
+  // Delivery destination (copied from the RFQ), used for delivery charges
+  deliveryLocation: {
+    type: String,
+    trim: true
+  },
+
+  // Quotation this one was cloned from
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuotationHeader'
+  },
+
   // Header-level status and selection
   status: {
     type: {
       type: String,
-      enum: ['open', 'loss', 'win', 'close'],
+      enum: QUOTATION_STATUSES,
       default: 'open'
     },
+    // Label of the catalog reason for loss/close, free text for reopening
+    reason: {
+      type: String,
+      trim: true
+    },
+    // Code from the status reason catalog (loss and close)
+    reasonCode: {
+      type: String,
+      trim: true
+    },
+    // Optional free-text explanation next to the reason code
+    reasonNote: {
+      type: String,
+      trim: true
+    },
+    // Competitor the quotation was lost to
+    competitor: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date
+    }
+  },
+  // Status transitions, oldest first; only changed through the status route
+  statusHistory: [statusTransitionSchema],
+  // Admin override of the edit lock of won, lost and closed quotations.
+  // Cleared on the next status change so a final status locks again.
+  lockOverride: {
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    unlockedAt: {
+      type: Date
+    },
     reason: {
       type: String,
       trim: true
@@ -70,13 +197,14 @@ const quotationHeaderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'OfferItem'
   }],
+  // Follow-up log; lastFollowUpDate and nextFollowUpDate are derived from it
+  followUps: [followUpSchema],
   lastFollowUpDate: {
     type: Date
   },
-  progress: [{
-    type: String,
-    trim: true
-  }]
+  nextFollowUpDate: {
+    type: Date
+  }
 }, {
   timestamps: true
 });
@@ -87,6 +215,9 @@ quotationHeaderSchema.index({ requesterId: 1 });
 quotationHeaderSchema.index({ approverId: 1 });
 quotationHeaderSchema.index({ creatorId: 1 });
 quotationHeaderSchema.index({ customerName: 1 });
+quotationHeaderSchema.index({ customerId: 1 });
 quotationHeaderSchema.index({ createdAt: -1 });
+quotationHeaderSchema.index({ 'status.type': 1, lastFollowUpDate: 1 });
+quotationHeaderSchema.index({ 'status.reasonCode': 1 });
 
 module.exports = mongoose.model('QuotationHeader', quotationHeaderSchema);
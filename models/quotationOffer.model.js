@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { getPPNRate, calculateOfferTax } = require('../utils/taxHelper');
+const { BASE_CURRENCY, getExchangeRate, convertToBase } = require('../utils/currencyHelper');
+const { APPROVAL_STATUSES, evaluateApprovalRequirement } = require('../utils/approvalHelper');
+const { CHARGE_TYPES, roundPrice, calculateLineTotals, calculateOfferTotals } = require('../utils/pricingHelper');
 
 // Quotation Offer Schema - individual offers within a quotation
 const quotationOfferSchema = new mongoose.Schema({
@@ -42,12 +46,143 @@ const quotationOfferSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Tax summary (PPN rate in effect on the offer date)
+  ppnRate: {
+    type: Number,
+    min: 0
+  },
+  totalDPP: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalPPN: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Currency of all amounts of this offer and its items
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: BASE_CURRENCY,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Base currency value of 1 unit of the offer currency, on the offer date
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  exchangeRateDate: {
+    type: Date
+  },
+  // Totals converted to the base currency (used for reporting)
+  baseTotals: {
+    currency: {
+      type: String,
+      default: BASE_CURRENCY
+    },
+    totalPrice: { type: Number, default: 0 },
+    totalDiscount: { type: Number, default: 0 },
+    totalNetto: { type: Number, default: 0 },
+    totalDPP: { type: Number, default: 0 },
+    totalPPN: { type: Number, default: 0 },
+    grandTotal: { type: Number, default: 0 }
+  },
+
+  // Offer-level charges and discounts (delivery, installation, lump-sum discount, ...)
+  additionalCharges: [{
+    type: {
+      type: String,
+      enum: CHARGE_TYPES,
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  totalCharges: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAdditionalDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   // Offer-level settings
   excludePPN: {
     type: Boolean,
     default: false
   },
 
+  // Validity period - the offer expires after validUntil
+  validUntil: {
+    type: Date
+  },
+  isExpired: {
+    type: Boolean,
+    default: false
+  },
+  expiredAt: {
+    type: Date
+  },
+
+  // Internal approval - required when the discount exceeds the configured thresholds
+  approval: {
+    status: {
+      type: String,
+      enum: APPROVAL_STATUSES,
+      default: 'not_required'
+    },
+    reasons: [{
+      type: String,
+      trim: true
+    }],
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: {
+      type: Date
+    },
+    submitComment: {
+      type: String,
+      trim: true
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: {
+      type: Date
+    },
+    decisionComment: {
+      type: String,
+      trim: true
+    }
+  },
+
   // Acceptance tracking at offer level
   isFullyAccepted: {
     type: Boolean,
@@ -101,6 +236,8 @@ quotationOfferSchema.index({ isPartiallyAccepted: 1 });
 quotationOfferSchema.index({ parentQuotationId: 1 });
 quotationOfferSchema.index({ notesImages: 1 });
 quotationOfferSchema.index({ createdAt: -1 });
+quotationOfferSchema.index({ isExpired: 1, validUntil: 1 });
+quotationOfferSchema.index({ 'approval.status': 1, 'approval.assignedTo': 1 });
 
 // Virtual for offer items (will be populated)
 quotationOfferSchema.virtual('offerItems', {
@@ -109,6 +246,12 @@ quotationOfferSchema.virtual('offerItems', {
   foreignField: 'quotationOfferId'
 });
 
+// Virtual for validity status
+quotationOfferSchema.virtual('validityStatus').get(function() {
+  if (this.isExpired || (this.validUntil && this.validUntil < new Date())) return 'expired';
+  return 'valid';
+});
+
 // Virtual for notes images (will be populated)
 quotationOfferSchema.virtual('notesImagesData', {
   ref: 'NotesImage',
@@ -140,25 +283,102 @@ quotationOfferSchema.methods.getNotesImagesCount = function() {
   return this.notesImages.length;
 };
 
-// Pre-save middleware - calculate totals from offer items
+// Pre-save middleware - calculate line totals, offer totals and PPN
 quotationOfferSchema.pre('save', async function(next) {
   try {
-    // If this is a new document, skip calculation
-    if (this.isNew) {
-      return next();
-    }
-
-    // Calculate totals from offer items
+    // New offers have no items yet (items are added after the offer), but may have charges
     const OfferItem = mongoose.model('OfferItem');
-    const items = await OfferItem.find({ quotationOfferId: this._id });
+    const items = this.isNew ? [] : await OfferItem.find({ quotationOfferId: this._id });
     
     this.totalItemsCount = items.length;
     this.acceptedItemsCount = items.filter(item => item.isAccepted).length;
+
+    // Line totals: unit price × quantity minus discount. Item nettos were worked out when the items were saved
+    const lines = items.map(item => ({
+      _id: item._id,
+      excludePPN: item.excludePPN,
+      ...calculateLineTotals(item, { keepNetto: true })
+    }));
+    this.additionalCharges.forEach(charge => {
+      charge.amount = roundPrice(charge.amount);
+    });
+
+    const totals = calculateOfferTotals(lines, this.additionalCharges);
+    this.totalPrice = totals.totalPrice;
+    this.totalNetto = totals.totalNetto;
+    this.totalDiscount = totals.totalDiscount;
+    this.totalCharges = totals.totalCharges;
+    this.totalAdditionalDiscount = totals.totalAdditionalDiscount;
+
+    // Calculate PPN per item and for the offer (charges are taxed, discounts reduce the base)
+    const { rate } = await getPPNRate(this.createdAt || new Date());
+    const taxLines = [
+      ...lines.map(line => ({ _id: line._id, amount: line.lineNetto, excludePPN: line.excludePPN })),
+      ...this.additionalCharges.map(charge => ({
+        _id: charge._id,
+        amount: charge.type === 'discount' ? -charge.amount : charge.amount
+      }))
+    ];
+    const tax = calculateOfferTax(taxLines, { rate, excludePPN: this.excludePPN });
+    this.ppnRate = tax.ppnRate;
+    this.totalDPP = tax.totalDPP;
+    this.totalPPN = tax.totalPPN;
+    this.grandTotal = tax.grandTotal;
+
+    // Convert totals to the base currency with the rate on the offer date. The rate is resolved once,
+    // when the offer is created or its currency changes (or it has none yet), and reused afterwards so
+    // later edits do not depend on the exchange rate table.
+    const currency = (this.currency || BASE_CURRENCY).toUpperCase();
+    const needsRate = this.isNew || this.isModified('currency') || (currency !== BASE_CURRENCY && !this.exchangeRateDate);
+    if (needsRate) {
+      const exchangeRate = await getExchangeRate(this.currency, this.createdAt || new Date());
+      this.exchangeRate = exchangeRate.rate;
+      this.exchangeRateDate = exchangeRate.effectiveDate || undefined;
+    }
+    this.baseTotals = {
+      currency: BASE_CURRENCY,
+      ...['totalPrice', 'totalDiscount', 'totalNetto', 'totalDPP', 'totalPPN', 'grandTotal'].reduce((base, field) => {
+        base[field] = convertToBase(this[field], this.exchangeRate);
+        return base;
+      }, {})
+    };
+
+    if (lines.length > 0) {
+      await OfferItem.bulkWrite(lines.map((line, index) => ({
+        updateOne: {
+          filter: { _id: line._id },
+          update: {
+            $set: {
+              netto: line.netto,
+              lineTotal: line.lineTotal,
+              lineDiscount: line.lineDiscount,
+              lineNetto: line.lineNetto,
+              dpp: tax.lines[index].dpp,
+              ppnAmount: tax.lines[index].ppnAmount,
+              grandTotal: tax.lines[index].grandTotal
+            }
+          }
+        }
+      })));
+    }
     
-    this.totalPrice = items.reduce((sum, item) => sum + item.price, 0);
-    this.totalNetto = items.reduce((sum, item) => sum + item.netto, 0);
-    this.totalDiscount = this.totalPrice - this.totalNetto;
-    
+    // Approval: re-evaluate thresholds; a pricing change invalidates an earlier submission or decision
+    const approvalRequirement = await evaluateApprovalRequirement(this);
+    const pricingChanged = ['totalPrice', 'totalDiscount', 'grandTotal', 'currency'].some(field => this.isModified(field));
+    if (!approvalRequirement.required) {
+      this.approval = { status: 'not_required', reasons: [] };
+    } else if (this.approval.status === 'not_required' || pricingChanged) {
+      this.approval = { status: 'required', reasons: approvalRequirement.reasons };
+    } else {
+      this.approval.reasons = approvalRequirement.reasons;
+    }
+
+    // A validity date moved into the future makes the offer valid again
+    if (this.isExpired && this.validUntil && this.validUntil > new Date()) {
+      this.isExpired = false;
+      this.expiredAt = undefined;
+    }
+
     // Update acceptance status
     this.isFullyAccepted = this.acceptedItemsCount === this.totalItemsCount && this.totalItemsCount > 0;
     this.isPartiallyAccepted = this.acceptedItemsCount > 0 && this.acceptedItemsCount < this.totalItemsCount;
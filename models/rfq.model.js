@@ -164,7 +164,12 @@ const rfqSchema = new mongoose.Schema({
     default: false
   },
   
-  // Customer information - aligned with quotation model
+  // Customer information - aligned with quotation model.
+  // customerName and contactPerson are kept as a snapshot of the customer at creation.
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customerName: {
     type: String,
     required: true,
@@ -254,6 +259,8 @@ rfqSchema.index({ approverId: 1, status: 1, createdAt: -1 });
 rfqSchema.index({ quotationCreatorId: 1, status: 1, createdAt: -1 });
 rfqSchema.index({ status: 1, createdAt: -1 });
 rfqSchema.index({ customerName: 1 });
+rfqSchema.index({ customerId: 1 });
+rfqSchema.index({ expectedDeliveryDate: 1 });
 
 // Export both models
 module.exports = {
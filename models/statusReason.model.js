@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Status Reason Schema - managed catalog of reasons for losing or closing a quotation
+const statusReasonSchema = new mongoose.Schema({
+  // Stable code used for analytics, e.g. PRICE_TOO_HIGH
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_]+$/, 'Code may only contain letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Statuses the reason can be used for
+  appliesTo: [{
+    type: String,
+    enum: ['loss', 'close']
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  // The competitor who won must be named when this reason is chosen
+  requiresCompetitor: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+statusReasonSchema.index({ appliesTo: 1, isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('StatusReason', statusReasonSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Tax Rate Schema - PPN rates with the date from which they apply
+const taxRateSchema = new mongoose.Schema({
+  taxType: {
+    type: String,
+    enum: ['PPN'],
+    default: 'PPN'
+  },
+  // Percentage, e.g. 11 for 11%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // The rate applies to offers dated on or after this date until the next rate starts
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+taxRateSchema.index({ taxType: 1, effectiveFrom: -1 });
+taxRateSchema.index({ taxType: 1, effectiveFrom: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
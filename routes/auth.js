@@ -27,6 +27,7 @@ const seedDatabase = async (adminUserId) => {
       { name: 'truck', displayName: 'Truck Management', description: 'Truck type and configuration management' },
       { name: 'drawing', displayName: 'Drawing Management', description: 'Drawing specification management' },
       { name: 'quotation', displayName: 'Quotation Management', description: 'Quotation creation and management' },
+      { name: 'customer', displayName: 'Customer Management', description: 'Customer master data management' },
       { name: 'notes', displayName: 'Notes Management', description: 'Notes and image management' },
       { name: 'analytics', displayName: 'Analytics', description: 'Analytics and reporting permissions' },
       { name: 'system', displayName: 'System Administration', description: 'System-wide administration permissions' },
@@ -80,11 +81,18 @@ const seedDatabase = async (adminUserId) => {
       { name: 'quotation_create', displayName: 'Create Quotations', description: 'Create new quotations', category: 'quotation' },
       { name: 'quotation_edit', displayName: 'Edit Quotations', description: 'Edit existing quotations', category: 'quotation' },
       { name: 'quotation_delete', displayName: 'Delete Quotations', description: 'Delete quotations', category: 'quotation' },
+      { name: 'quotation_approve', displayName: 'Approve Quotations', description: 'Approve or reject offers that exceed discount thresholds', category: 'quotation' },
       { name: 'all_quotation_viewer', displayName: 'All Quotation Viewer', description: 'View All Quotations Made Regardles of Team', category: 'quotation' },
       { name: 'approve_rfq', displayName: 'Approve RFQ', description: 'Approve or Reject RFQ Requests', category: 'quotation' },
       { name: 'quotation_requester', displayName: 'Quotation Requester', description: 'Create RFQ Requests', category: 'quotation' },
       { name: 'quotation_admin', displayName: 'Quotation Admin', description: 'Full quotation administration access', category: 'quotation' },
 
+      // Customer Management
+      { name: 'customer_view', displayName: 'View Customers', description: 'View customer master data', category: 'customer' },
+      { name: 'customer_create', displayName: 'Create Customers', description: 'Create customers', category: 'customer' },
+      { name: 'customer_edit', displayName: 'Edit Customers', description: 'Edit customers and their contacts', category: 'customer' },
+      { name: 'customer_delete', displayName: 'Delete Customers', description: 'Delete unused customers', category: 'customer' },
+
       // Notes Management
       { name: 'notes_view', displayName: 'View Notes', description: 'View notes and images', category: 'notes' },
       { name: 'notes_create', displayName: 'Create Notes', description: 'Create notes and upload images', category: 'notes' },
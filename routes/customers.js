@@ -0,0 +1,174 @@
+// =============================================================================
+// CUSTOMER ROUTES
+// =============================================================================
+// Customer master data (legal name, aliases, NPWP, addresses and contacts)
+// referenced by RFQs and quotations.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, handleValidationError } = require('../utils/errorHandler');
+const {
+  findDuplicateCustomers,
+  getCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  mergeCustomers,
+  migrateCustomerLinks
+} = require('../utils/customerHelper');
+const { getCustomerOverview } = require('../utils/customerOverviewHelper');
+
+/**
+ * GET /api/customers?search=abc&isActive=true&page=1&limit=20
+ * Permission: customer_view
+ * Description: List customers; search matches names, aliases, NPWP and contact names
+ */
+router.get('/', authenticateToken, authorize(['customer_view']), async (req, res) => {
+  try {
+    const { search, isActive, page = 1, limit = 20 } = req.query;
+    const filters = { search };
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    const result = await getCustomers(filters, { page: parseInt(page), limit: parseInt(limit) });
+    return sendSuccessResponse(res, 200, 'Customers retrieved', { customers: result.customers }, result.pagination);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch customers', e.message);
+  }
+});
+
+/**
+ * GET /api/customers/search?q=abc
+ * Permission: Any authenticated user
+ * Description: Active customers matching a name, alias, NPWP or contact, for pickers on RFQ and quotation forms
+ */
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q = '', limit = 10 } = req.query;
+    const result = await getCustomers({ search: q, isActive: true }, { page: 1, limit: parseInt(limit) });
+    return sendSuccessResponse(res, 200, 'Customers found', { customers: result.customers });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to search customers', e.message);
+  }
+});
+
+/**
+ * GET /api/customers/360/:name
+ * Permission: customer_view
+ * Description: Customer 360 view by name (case, punctuation and legal forms ignored):
+ * RFQs with bid/no-bid decisions, quotations with statuses, quoted vs won value,
+ * last follow-up, competitors and loss reasons. Only records linked to the customer are included.
+ */
+router.get('/360/:name', authenticateToken, authorize(['customer_view']), async (req, res) => {
+  try {
+    const overview = await getCustomerOverview(req.params.name);
+    return sendSuccessResponse(res, 200, 'Customer overview retrieved', overview);
+  } catch (e) {
+    return sendErrorResponse(res, e.message === 'Customer not found' ? 404 : 400, e.message);
+  }
+});
+
+/**
+ * POST /api/customers/merge
+ * Permission: admin
+ * Description: Merge duplicate customers into one. Body: { targetId, sourceIds: [] }
+ */
+router.post('/merge', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body;
+    if (!targetId || !Array.isArray(sourceIds)) {
+      return sendErrorResponse(res, 400, 'targetId and sourceIds are required');
+    }
+    const result = await mergeCustomers(targetId, sourceIds);
+    return sendSuccessResponse(res, 200, 'Customers merged', result);
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * POST /api/customers/migrate/link-records
+ * Permission: admin
+ * Description: Link RFQs and quotations without a customer to customer master data,
+ * creating customers from their free-text names where no match exists
+ */
+router.post('/migrate/link-records', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const result = await migrateCustomerLinks(req.user.userId);
+    return sendSuccessResponse(res, 200, 'Customer links migrated', result);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to migrate customer links', e.message);
+  }
+});
+
+/**
+ * GET /api/customers/:id
+ * Permission: customer_view
+ * Description: Get a customer
+ */
+router.get('/:id', authenticateToken, authorize(['customer_view']), async (req, res) => {
+  try {
+    const customer = await getCustomerById(req.params.id);
+    return sendSuccessResponse(res, 200, 'Customer retrieved', { customer });
+  } catch (e) {
+    return sendErrorResponse(res, 404, e.message);
+  }
+});
+
+/**
+ * POST /api/customers
+ * Permission: customer_create
+ * Description: Create a customer. Returns 409 with the possible duplicates when a customer
+ * with the same normalized name, alias or NPWP exists, unless force is true.
+ */
+router.post('/', authenticateToken, authorize(['customer_create']), async (req, res) => {
+  try {
+    if (!req.body.force) {
+      const duplicates = await findDuplicateCustomers(req.body);
+      if (duplicates.length > 0) {
+        return sendErrorResponse(res, 409, 'A customer with the same name or NPWP already exists', null, { duplicates });
+      }
+    }
+    const customer = await createCustomer(req.body, req.user.userId);
+    return sendSuccessResponse(res, 201, 'Customer created', { customer });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError' || e.code === 11000) {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * PUT /api/customers/:id
+ * Permission: customer_edit
+ * Description: Update a customer (existing RFQs and quotations keep their name snapshot)
+ */
+router.put('/:id', authenticateToken, authorize(['customer_edit']), async (req, res) => {
+  try {
+    const customer = await updateCustomer(req.params.id, req.body);
+    return sendSuccessResponse(res, 200, 'Customer updated', { customer });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError' || e.code === 11000) {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * DELETE /api/customers/:id
+ * Permission: customer_delete
+ * Description: Delete a customer that no RFQ or quotation references
+ */
+router.delete('/:id', authenticateToken, authorize(['customer_delete']), async (req, res) => {
+  try {
+    await deleteCustomer(req.params.id);
+    return sendSuccessResponse(res, 200, 'Customer deleted');
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+// =============================================================================
+// EMAIL OUTBOX ROUTES
+// =============================================================================
+// Admin view of outgoing emails, their delivery log and resending failed ones.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, handleValidationError } = require('../utils/errorHandler');
+const {
+  getOutboxEmails,
+  getOutboxStats,
+  getOutboxEmail,
+  resendEmail,
+  requeueFailedEmails
+} = require('../utils/emailOutboxHelper');
+
+/**
+ * GET /api/email-outbox?status=&to=&search=&page=&limit=
+ * Permission: admin
+ * Description: Outgoing emails, newest first, without their body
+ */
+router.get('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { status, to, search, page = 1, limit = 20 } = req.query;
+    const result = await getOutboxEmails({ status, to, search }, { page: parseInt(page), limit: parseInt(limit) });
+    return sendSuccessResponse(res, 200, 'Outbox emails retrieved', result.emails, result.pagination);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch outbox emails', e.message);
+  }
+});
+
+/**
+ * GET /api/email-outbox/stats
+ * Permission: admin
+ * Description: Number of emails per status (queued, sending, sent, failed)
+ */
+router.get('/stats', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const stats = await getOutboxStats();
+    return sendSuccessResponse(res, 200, 'Outbox stats retrieved', stats);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch outbox stats', e.message);
+  }
+});
+
+/**
+ * POST /api/email-outbox/resend-failed
+ * Permission: admin
+ * Description: Queue failed emails again for the outbox job. Body: { ids } (optional, all failed emails when omitted)
+ */
+router.post('/resend-failed', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const result = await requeueFailedEmails(req.body.ids);
+    return sendSuccessResponse(res, 200, 'Failed emails queued again', result);
+  } catch (e) {
+    if (e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * GET /api/email-outbox/:id
+ * Permission: admin
+ * Description: One email with its body and delivery log
+ */
+router.get('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const email = await getOutboxEmail(req.params.id);
+    return sendSuccessResponse(res, 200, 'Outbox email retrieved', { email });
+  } catch (e) {
+    if (e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, e.message === 'Email not found' ? 404 : 500, e.message);
+  }
+});
+
+/**
+ * POST /api/email-outbox/:id/resend
+ * Permission: admin
+ * Description: Resend a failed email now; it gets a fresh set of retries if this attempt fails
+ */
+router.post('/:id/resend', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const email = await resendEmail(req.params.id, req.user.userId);
+    const message = email.status === 'sent' ? 'Email sent' : 'Email could not be sent, it will be retried';
+    return sendSuccessResponse(res, 200, message, { email });
+  } catch (e) {
+    if (e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, e.message === 'Email not found' ? 404 : 400, e.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// =============================================================================
+// EXCHANGE RATE ROUTES
+// =============================================================================
+// Dated exchange rates used to convert offer amounts to the base currency.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, handleValidationError } = require('../utils/errorHandler');
+const {
+  BASE_CURRENCY,
+  getExchangeRates,
+  getExchangeRate,
+  convertAmount,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../utils/currencyHelper');
+
+/**
+ * GET /api/exchange-rates?currency=USD
+ * Permission: Any authenticated user
+ * Description: List exchange rates, newest first per currency
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const rates = await getExchangeRates({ currency: req.query.currency });
+    return sendSuccessResponse(res, 200, 'Exchange rates retrieved', { baseCurrency: BASE_CURRENCY, rates });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch exchange rates', e.message);
+  }
+});
+
+/**
+ * GET /api/exchange-rates/effective?currency=USD&date=YYYY-MM-DD
+ * Permission: Any authenticated user
+ * Description: Rate of a currency in effect on a date (default: today)
+ */
+router.get('/effective', authenticateToken, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (!req.query.currency || isNaN(date.getTime())) {
+      return sendErrorResponse(res, 400, 'Currency and a valid date are required');
+    }
+    const rate = await getExchangeRate(req.query.currency, date);
+    return sendSuccessResponse(res, 200, 'Effective exchange rate retrieved', { baseCurrency: BASE_CURRENCY, ...rate });
+  } catch (e) {
+    return sendErrorResponse(res, 404, e.message);
+  }
+});
+
+/**
+ * GET /api/exchange-rates/convert?amount=100&from=USD&to=IDR&date=YYYY-MM-DD
+ * Permission: Any authenticated user
+ * Description: Convert an amount between currencies (to defaults to the base currency)
+ */
+router.get('/convert', authenticateToken, async (req, res) => {
+  try {
+    const { amount, from, to, date } = req.query;
+    const rateDate = date ? new Date(date) : new Date();
+    if (amount === undefined || !from || isNaN(rateDate.getTime())) {
+      return sendErrorResponse(res, 400, 'Amount, from and a valid date are required');
+    }
+    const result = await convertAmount(parseFloat(amount), from, to || BASE_CURRENCY, rateDate);
+    return sendSuccessResponse(res, 200, 'Amount converted', result);
+  } catch (e) {
+    return sendErrorResponse(res, 404, e.message);
+  }
+});
+
+/**
+ * POST /api/exchange-rates
+ * Permission: admin
+ * Description: Add a rate (base currency per unit) with its effective date
+ */
+router.post('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const exchangeRate = await createExchangeRate(req.body, req.user.userId);
+    return sendSuccessResponse(res, 201, 'Exchange rate created', { exchangeRate });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError' || e.code === 11000) {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * PUT /api/exchange-rates/:id
+ * Permission: admin
+ * Description: Update a rate
+ */
+router.put('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const exchangeRate = await updateExchangeRate(req.params.id, req.body);
+    return sendSuccessResponse(res, 200, 'Exchange rate updated', { exchangeRate });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError' || e.code === 11000) {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * DELETE /api/exchange-rates/:id
+ * Permission: admin
+ * Description: Delete a rate
+ */
+router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    await deleteExchangeRate(req.params.id);
+    return sendSuccessResponse(res, 200, 'Exchange rate deleted');
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
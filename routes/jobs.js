@@ -0,0 +1,57 @@
+// =============================================================================
+// BACKGROUND JOB ROUTES
+// =============================================================================
+// Admin view of scheduled jobs, their run history and manual triggering.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse } = require('../utils/errorHandler');
+const { getJobs, getJobRuns, runJob } = require('../jobs/scheduler');
+
+/**
+ * GET /api/jobs
+ * Permission: admin
+ * Description: List registered jobs with their schedule
+ */
+router.get('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    return sendSuccessResponse(res, 200, 'Jobs retrieved', { jobs: getJobs() });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch jobs', e.message);
+  }
+});
+
+/**
+ * GET /api/jobs/runs?jobName=&status=&page=&limit=
+ * Permission: admin
+ * Description: Run history of background jobs, newest first
+ */
+router.get('/runs', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { jobName, status, page = 1, limit = 20 } = req.query;
+    const result = await getJobRuns({ jobName, status }, { page: parseInt(page), limit: parseInt(limit) });
+    return sendSuccessResponse(res, 200, 'Job runs retrieved', result.runs, result.pagination);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch job runs', e.message);
+  }
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Permission: admin
+ * Description: Run a job immediately
+ */
+router.post('/:name/run', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, { trigger: 'manual', triggeredBy: req.user.userId });
+    if (!run) {
+      return sendErrorResponse(res, 409, 'Job is already running');
+    }
+    return sendSuccessResponse(res, 200, 'Job finished', { run });
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
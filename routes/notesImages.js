@@ -9,6 +9,7 @@ const QuotationOffer = require('../models/quotationOffer.model');
 const { cleanupUnusedNotesImages, getNotesImageStats } = require('../utils/notesImageCleanup');
 const { getContentType } = require('../utils/contentTypeHelper');
 const { verifyToken } = require('../utils/jwtHelper');
+const { rejectLockedOffer } = require('../middleware/quotationLock');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -232,7 +233,7 @@ router.get('/offer/:offerId', authenticateToken, authorize(['placeholder_test'])
 });
 
 // Add notes image to offer
-router.post('/offer/:offerId/add/:imageId', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+router.post('/offer/:offerId/add/:imageId', authenticateToken, authorize(['placeholder_test']), rejectLockedOffer, async (req, res) => {
   try {
     const { offerId, imageId } = req.params;
 
@@ -277,7 +278,7 @@ router.post('/offer/:offerId/add/:imageId', authenticateToken, authorize(['place
 });
 
 // Remove notes image from offer (smart deletion)
-router.delete('/offer/:offerId/remove/:imageId', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+router.delete('/offer/:offerId/remove/:imageId', authenticateToken, authorize(['placeholder_test']), rejectLockedOffer, async (req, res) => {
   try {
     const { offerId, imageId } = req.params;
 
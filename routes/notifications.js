@@ -3,16 +3,27 @@ const router = express.Router();
 const Notification = require('../models/notification.model');
 const { authenticateToken, authorize } = require('../middleware/auth');
 const { sendSuccessResponse, sendErrorResponse } = require('../utils/errorHandler');
+const {
+  buildNotificationQuery,
+  markAllNotificationsRead,
+  setNotificationsArchived,
+  deleteNotifications
+} = require('../utils/notificationHelper');
+const { getNotificationPreferences, updateNotificationPreferences } = require('../utils/notificationService');
+const { NOTIFICATION_TYPES, NOTIFICATION_CATEGORIES } = require('../utils/notificationTypes');
 
 // GET /api/notifications - list current user's notifications with pagination
+// Query: page, limit, unreadOnly, archived (archived ones are hidden by default), category, type
 router.get('/', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
-    const unreadOnly = String(req.query.unreadOnly || 'false') === 'true';
-    const query = { userId: req.user.userId };
-    if (unreadOnly) query.isRead = false;
-
+    const query = buildNotificationQuery(req.user.userId, {
+      unreadOnly: String(req.query.unreadOnly || 'false') === 'true',
+      archived: String(req.query.archived || 'false') === 'true',
+      category: req.query.category,
+      type: req.query.type
+    });
 
     const [items, total] = await Promise.all([
       Notification.find(query)
@@ -36,21 +47,91 @@ router.get('/', authenticateToken, authorize(['placeholder_test']), async (req,
   }
 });
 
-// GET /api/notifications/unread-count
+// GET /api/notifications/types - notification types and categories
+router.get('/types', authenticateToken, async (req, res) => {
+  return sendSuccessResponse(res, 200, 'Notification types', {
+    types: Object.entries(NOTIFICATION_TYPES).map(([type, category]) => ({ type, category })),
+    categories: NOTIFICATION_CATEGORIES
+  });
+});
+
+// GET /api/notifications/preferences - my channels per event type (defaults filled in)
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.userId);
+    return sendSuccessResponse(res, 200, 'Notification preferences retrieved', preferences);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch notification preferences', e.message);
+  }
+});
+
+// PUT /api/notifications/preferences - set channels ({ preferences: [{ eventType, channels }], reset })
+// channels: any of in_app, email, digest (email and digest exclude each other); [] or 'off' turns the event off
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { preferences = [], reset = false } = req.body;
+    const result = await updateNotificationPreferences(req.user.userId, preferences, { reset: Boolean(reset) });
+    return sendSuccessResponse(res, 200, 'Notification preferences updated', result);
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+// GET /api/notifications/unread-count - unread (not archived) count, total and per category
 router.get('/unread-count', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
   try {
-    const count = await Notification.countDocuments({ userId: req.user.userId, isRead: false });
-    return sendSuccessResponse(res, 200, 'Unread count', { count });
+    const groups = await Notification.aggregate([
+      { $match: buildNotificationQuery(req.user.userId, { unreadOnly: true }) },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const byCategory = Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, 0]));
+    groups.forEach(group => {
+      byCategory[group._id || 'system'] += group.count;
+    });
+    const count = groups.reduce((sum, group) => sum + group.count, 0);
+    return sendSuccessResponse(res, 200, 'Unread count', { count, byCategory });
   } catch (e) {
     return sendErrorResponse(res, 500, 'Failed to fetch unread count', e.message);
   }
 });
 
+// PATCH /api/notifications/read-all - mark all as read ({ category } optional)
+router.patch('/read-all', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+  try {
+    const result = await markAllNotificationsRead(req.user.userId, { category: req.body.category });
+    return sendSuccessResponse(res, 200, 'All notifications marked as read', result);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to update notifications', e.message);
+  }
+});
+
+// POST /api/notifications/bulk-archive - archive ({ ids, archived: true }) or restore ({ ids, archived: false })
+router.post('/bulk-archive', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+  try {
+    const { ids, archived = true } = req.body;
+    const archive = archived === true || archived === 'true';
+    const result = await setNotificationsArchived(req.user.userId, ids, archive);
+    return sendSuccessResponse(res, 200, archive ? 'Notifications archived' : 'Notifications restored', result);
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+// POST /api/notifications/bulk-delete - delete ({ ids })
+router.post('/bulk-delete', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+  try {
+    const result = await deleteNotifications(req.user.userId, req.body.ids);
+    return sendSuccessResponse(res, 200, 'Notifications deleted', result);
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
 // PATCH /api/notifications/:id/read - mark as read
 router.patch('/:id/read', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
   try {
     const { id } = req.params;
-    const notif = await Notification.findOneAndUpdate({ _id: id, userId: req.user.userId }, { isRead: true }, { new: true });
+    const notif = await Notification.findOneAndUpdate({ _id: id, userId: req.user.userId }, { isRead: true, readAt: new Date() }, { new: true });
     if (!notif) return sendErrorResponse(res, 404, 'Notification not found');
     return sendSuccessResponse(res, 200, 'Marked as read', { notification: notif });
   } catch (e) {
@@ -58,6 +139,28 @@ router.patch('/:id/read', authenticateToken, authorize(['placeholder_test']), as
   }
 });
 
-module.exports = router;
+// PATCH /api/notifications/:id/archive - archive
+router.patch('/:id/archive', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const notif = await Notification.findOneAndUpdate({ _id: id, userId: req.user.userId }, { isArchived: true, archivedAt: new Date() }, { new: true });
+    if (!notif) return sendErrorResponse(res, 404, 'Notification not found');
+    return sendSuccessResponse(res, 200, 'Notification archived', { notification: notif });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to update notification', e.message);
+  }
+});
 
+// DELETE /api/notifications/:id - delete
+router.delete('/:id', authenticateToken, authorize(['placeholder_test']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const notif = await Notification.findOneAndDelete({ _id: id, userId: req.user.userId });
+    if (!notif) return sendErrorResponse(res, 404, 'Notification not found');
+    return sendSuccessResponse(res, 200, 'Notification deleted');
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to delete notification', e.message);
+  }
+});
 
+module.exports = router;
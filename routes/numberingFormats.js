@@ -0,0 +1,67 @@
+// =============================================================================
+// DOCUMENT NUMBERING FORMAT ROUTES
+// =============================================================================
+// Admin management of the number templates used for quotations, offers,
+// offer revisions and RFQs.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, handleValidationError } = require('../utils/errorHandler');
+const {
+  getNumberingFormats,
+  getNumberingFormat,
+  updateNumberingFormat,
+  previewDocumentNumber
+} = require('../utils/numberingHelper');
+
+/**
+ * GET /api/numbering-formats
+ * Permission: admin
+ * Description: List numbering formats of all document types (defaults included)
+ */
+router.get('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const formats = await getNumberingFormats();
+    return sendSuccessResponse(res, 200, 'Numbering formats retrieved', { formats });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch numbering formats', e.message);
+  }
+});
+
+/**
+ * GET /api/numbering-formats/:documentType
+ * Permission: admin
+ * Description: Get the numbering format of a document type with a sample number
+ */
+router.get('/:documentType', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    const format = await getNumberingFormat(documentType);
+    const sampleParent = ['offer', 'offer_revision'].includes(documentType) ? '1/QUO/STM/I/2025' : '';
+    const preview = await previewDocumentNumber(documentType, { parent: sampleParent });
+    return sendSuccessResponse(res, 200, 'Numbering format retrieved', { format, sample: preview.number });
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * PUT /api/numbering-formats/:documentType
+ * Permission: admin
+ * Description: Update template, prefix, padding or reset period of a document type
+ */
+router.put('/:documentType', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    const format = await updateNumberingFormat(documentType, req.body, req.user.userId);
+    return sendSuccessResponse(res, 200, 'Numbering format updated', { format });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
@@ -11,7 +11,7 @@ const QuotationHeader = require('../models/quotationHeader.model');
 const QuotationOffer = require('../models/quotationOffer.model');
 const OfferItem = require('../models/offerItem.model');
 const User = require('../models/user.model');
-const { sendQuotationNotificationEmail } = require('../utils/emailUtils');
+const { notifyUsers } = require('../utils/notificationService');
 const { hasPermission, hasAnyPermission, getAllUserPermissions } = require('../utils/permissionHelper');
 const {
   createQuotationHeader,
@@ -24,12 +24,40 @@ const {
   deleteQuotationHeader,
   deleteQuotationOffer,
   getQuotations,
-  updateLastFollowUp,
-  updateLastFollowUpAll,
-  generateQuotationNumber,
+  previewQuotationNumber,
   formatPrice,
-  migrateOfferNumbers
+  migrateOfferNumbers,
+  recalculateOfferTaxes,
+  extendOfferValidity,
+  getQuotationApprovers,
+  submitOfferForApproval,
+  decideOfferApproval,
+  getPendingApprovals,
+  compareOfferRevisions,
+  createOfferItem,
+  updateOfferItem,
+  deleteOfferItem,
+  toggleOfferItemAcceptance,
+  cloneQuotation,
+  changeQuotationStatus,
+  getQuotationStatusHistory,
+  unlockQuotation,
+  lockQuotation
 } = require('../utils/quotationHelper');
+const { getAuditHistory } = require('../utils/auditHelper');
+const {
+  getFollowUps,
+  getFollowUp,
+  addFollowUp,
+  updateFollowUp,
+  deleteFollowUp,
+  migrateProgressToFollowUps
+} = require('../utils/followUpHelper');
+const { generateOfferPdf } = require('../utils/quotationPdfHelper');
+const { isOfferSendable } = require('../utils/approvalHelper');
+const { isQuotationLocked } = require('../utils/quotationStatusHelper');
+const { markQuotationCreated } = require('../utils/rfqHelper');
+const { rejectLockedQuotation } = require('../middleware/quotationLock');
 
 // ============================================================================
 // QUOTATION MANAGEMENT ROUTES
@@ -169,10 +197,14 @@ router.get('/', authenticateToken, authorize(['quotation_view']), async (req, re
         quotationNumber: quotation.header.quotationNumber,
         customerName: quotation.header.customerName,
         contactPerson: quotation.header.contactPerson,
+        deliveryLocation: quotation.header.deliveryLocation,
         status: quotation.header.status,
         selectedOfferId: quotation.header.selectedOfferId,
         selectedOfferItemIds: quotation.header.selectedOfferItemIds,
         lastFollowUpDate: quotation.header.lastFollowUpDate,
+        nextFollowUpDate: quotation.header.nextFollowUpDate,
+        isLocked: isQuotationLocked(quotation.header),
+        lockOverride: quotation.header.lockOverride,
         followUpStatus: quotation.header.followUpStatus,
         marketingName: quotation.header.marketingName,
         createdAt: quotation.header.createdAt,
@@ -183,10 +215,24 @@ router.get('/', authenticateToken, authorize(['quotation_view']), async (req, re
           _id: offerGroup.original._id,
           offerNumber: offerGroup.original.offerNumber,
           offerNumberInQuotation: offerGroup.original.offerNumberInQuotation,
+          currency: offerGroup.original.currency,
+          exchangeRate: offerGroup.original.exchangeRate,
           totalPrice: offerGroup.original.totalPrice,
+          baseTotals: offerGroup.original.baseTotals,
           totalNetto: offerGroup.original.totalNetto,
           totalDiscount: offerGroup.original.totalDiscount,
+          ppnRate: offerGroup.original.ppnRate,
+          totalDPP: offerGroup.original.totalDPP,
+          totalPPN: offerGroup.original.totalPPN,
+          grandTotal: offerGroup.original.grandTotal,
+          totalCharges: offerGroup.original.totalCharges,
+          totalAdditionalDiscount: offerGroup.original.totalAdditionalDiscount,
+          additionalCharges: offerGroup.original.additionalCharges || [],
           excludePPN: offerGroup.original.excludePPN,
+          validUntil: offerGroup.original.validUntil,
+          isExpired: offerGroup.original.isExpired,
+          validityStatus: offerGroup.original.validityStatus,
+          approval: offerGroup.original.approval,
           isFullyAccepted: offerGroup.original.isFullyAccepted,
           isPartiallyAccepted: offerGroup.original.isPartiallyAccepted,
           acceptedItemsCount: offerGroup.original.acceptedItemsCount,
@@ -200,10 +246,24 @@ router.get('/', authenticateToken, authorize(['quotation_view']), async (req, re
           _id: revision._id,
           offerNumber: revision.offerNumber,
           offerNumberInQuotation: revision.offerNumberInQuotation,
+          currency: revision.currency,
+          exchangeRate: revision.exchangeRate,
           totalPrice: revision.totalPrice,
+          baseTotals: revision.baseTotals,
           totalNetto: revision.totalNetto,
           totalDiscount: revision.totalDiscount,
+          ppnRate: revision.ppnRate,
+          totalDPP: revision.totalDPP,
+          totalPPN: revision.totalPPN,
+          grandTotal: revision.grandTotal,
+          totalCharges: revision.totalCharges,
+          totalAdditionalDiscount: revision.totalAdditionalDiscount,
+          additionalCharges: revision.additionalCharges || [],
           excludePPN: revision.excludePPN,
+          validUntil: revision.validUntil,
+          isExpired: revision.isExpired,
+          validityStatus: revision.validityStatus,
+          approval: revision.approval,
           isFullyAccepted: revision.isFullyAccepted,
           isPartiallyAccepted: revision.isPartiallyAccepted,
           acceptedItemsCount: revision.acceptedItemsCount,
@@ -269,10 +329,14 @@ router.get('/all', authenticateToken, authorize(['all_quotation_viewer']), async
         quotationNumber: quotation.header.quotationNumber,
         customerName: quotation.header.customerName,
         contactPerson: quotation.header.contactPerson,
+        deliveryLocation: quotation.header.deliveryLocation,
         status: quotation.header.status,
         selectedOfferId: quotation.header.selectedOfferId,
         selectedOfferItemIds: quotation.header.selectedOfferItemIds,
         lastFollowUpDate: quotation.header.lastFollowUpDate,
+        nextFollowUpDate: quotation.header.nextFollowUpDate,
+        isLocked: isQuotationLocked(quotation.header),
+        lockOverride: quotation.header.lockOverride,
         followUpStatus: quotation.header.followUpStatus,
         marketingName: quotation.header.marketingName,
         createdAt: quotation.header.createdAt,
@@ -283,10 +347,24 @@ router.get('/all', authenticateToken, authorize(['all_quotation_viewer']), async
           _id: offerGroup.original._id,
           offerNumber: offerGroup.original.offerNumber,
           offerNumberInQuotation: offerGroup.original.offerNumberInQuotation,
+          currency: offerGroup.original.currency,
+          exchangeRate: offerGroup.original.exchangeRate,
           totalPrice: offerGroup.original.totalPrice,
+          baseTotals: offerGroup.original.baseTotals,
           totalNetto: offerGroup.original.totalNetto,
           totalDiscount: offerGroup.original.totalDiscount,
+          ppnRate: offerGroup.original.ppnRate,
+          totalDPP: offerGroup.original.totalDPP,
+          totalPPN: offerGroup.original.totalPPN,
+          grandTotal: offerGroup.original.grandTotal,
+          totalCharges: offerGroup.original.totalCharges,
+          totalAdditionalDiscount: offerGroup.original.totalAdditionalDiscount,
+          additionalCharges: offerGroup.original.additionalCharges || [],
           excludePPN: offerGroup.original.excludePPN,
+          validUntil: offerGroup.original.validUntil,
+          isExpired: offerGroup.original.isExpired,
+          validityStatus: offerGroup.original.validityStatus,
+          approval: offerGroup.original.approval,
           isFullyAccepted: offerGroup.original.isFullyAccepted,
           isPartiallyAccepted: offerGroup.original.isPartiallyAccepted,
           acceptedItemsCount: offerGroup.original.acceptedItemsCount,
@@ -300,10 +378,24 @@ router.get('/all', authenticateToken, authorize(['all_quotation_viewer']), async
           _id: revision._id,
           offerNumber: revision.offerNumber,
           offerNumberInQuotation: revision.offerNumberInQuotation,
+          currency: revision.currency,
+          exchangeRate: revision.exchangeRate,
           totalPrice: revision.totalPrice,
+          baseTotals: revision.baseTotals,
           totalNetto: revision.totalNetto,
           totalDiscount: revision.totalDiscount,
+          ppnRate: revision.ppnRate,
+          totalDPP: revision.totalDPP,
+          totalPPN: revision.totalPPN,
+          grandTotal: revision.grandTotal,
+          totalCharges: revision.totalCharges,
+          totalAdditionalDiscount: revision.totalAdditionalDiscount,
+          additionalCharges: revision.additionalCharges || [],
           excludePPN: revision.excludePPN,
+          validUntil: revision.validUntil,
+          isExpired: revision.isExpired,
+          validityStatus: revision.validityStatus,
+          approval: revision.approval,
           isFullyAccepted: revision.isFullyAccepted,
           isPartiallyAccepted: revision.isPartiallyAccepted,
           acceptedItemsCount: revision.acceptedItemsCount,
@@ -422,10 +514,14 @@ router.get('/debug/offer-items', authenticateToken, authorize(['quotation_view']
           quotationNumber: header.quotationNumber,
           customerName: header.customerName,
           contactPerson: header.contactPerson,
+          deliveryLocation: header.deliveryLocation,
           status: header.status,
           selectedOfferId: header.selectedOfferId,
           selectedOfferItemIds: header.selectedOfferItemIds,
           lastFollowUpDate: header.lastFollowUpDate,
+          nextFollowUpDate: header.nextFollowUpDate,
+          isLocked: isQuotationLocked(header),
+          lockOverride: header.lockOverride,
           createdAt: header.createdAt,
           updatedAt: header.updatedAt
         },
@@ -434,10 +530,24 @@ router.get('/debug/offer-items', authenticateToken, authorize(['quotation_view']
             _id: offerGroup.original._id,
             offerNumber: offerGroup.original.offerNumber,
             offerNumberInQuotation: offerGroup.original.offerNumberInQuotation,
+            currency: offerGroup.original.currency,
+            exchangeRate: offerGroup.original.exchangeRate,
             totalPrice: offerGroup.original.totalPrice,
+            baseTotals: offerGroup.original.baseTotals,
             totalNetto: offerGroup.original.totalNetto,
             totalDiscount: offerGroup.original.totalDiscount,
+            ppnRate: offerGroup.original.ppnRate,
+            totalDPP: offerGroup.original.totalDPP,
+            totalPPN: offerGroup.original.totalPPN,
+            grandTotal: offerGroup.original.grandTotal,
+            totalCharges: offerGroup.original.totalCharges,
+            totalAdditionalDiscount: offerGroup.original.totalAdditionalDiscount,
+            additionalCharges: offerGroup.original.additionalCharges || [],
             excludePPN: offerGroup.original.excludePPN,
+            validUntil: offerGroup.original.validUntil,
+            isExpired: offerGroup.original.isExpired,
+            validityStatus: offerGroup.original.validityStatus,
+            approval: offerGroup.original.approval,
             isFullyAccepted: offerGroup.original.isFullyAccepted,
             isPartiallyAccepted: offerGroup.original.isPartiallyAccepted,
             acceptedItemsCount: offerGroup.original.acceptedItemsCount,
@@ -451,10 +561,24 @@ router.get('/debug/offer-items', authenticateToken, authorize(['quotation_view']
             _id: revision._id,
             offerNumber: revision.offerNumber,
             offerNumberInQuotation: revision.offerNumberInQuotation,
+            currency: revision.currency,
+            exchangeRate: revision.exchangeRate,
             totalPrice: revision.totalPrice,
+            baseTotals: revision.baseTotals,
             totalNetto: revision.totalNetto,
             totalDiscount: revision.totalDiscount,
+            ppnRate: revision.ppnRate,
+            totalDPP: revision.totalDPP,
+            totalPPN: revision.totalPPN,
+            grandTotal: revision.grandTotal,
+            totalCharges: revision.totalCharges,
+            totalAdditionalDiscount: revision.totalAdditionalDiscount,
+            additionalCharges: revision.additionalCharges || [],
             excludePPN: revision.excludePPN,
+            validUntil: revision.validUntil,
+            isExpired: revision.isExpired,
+            validityStatus: revision.validityStatus,
+            approval: revision.approval,
             isFullyAccepted: revision.isFullyAccepted,
             isPartiallyAccepted: revision.isPartiallyAccepted,
             acceptedItemsCount: revision.acceptedItemsCount,
@@ -526,10 +650,14 @@ router.post('/', authenticateToken, authorize(['quotation_create']), async (req,
       
       if (rfq) {
         // Transfer RFQ data to header data if not already provided
-        if (!headerData.customerName) {
+        if (!headerData.customerName && !headerData.customerId) {
+          headerData.customerId = rfq.customerId;
           headerData.customerName = rfq.customerName;
           headerData.contactPerson = rfq.contactPerson;
         }
+        if (!headerData.deliveryLocation) {
+          headerData.deliveryLocation = rfq.deliveryLocation;
+        }
         
         // Transfer RFQ items to offer items
         if (rfq.items && rfq.items.length > 0) {
@@ -549,6 +677,11 @@ router.post('/', authenticateToken, authorize(['quotation_create']), async (req,
           // Replace offerData.offerItems with RFQ items
           offerData.offerItems = rfqOfferItems;
         }
+
+        // Quote in the currency requested in the RFQ
+        if (!offerData.currency && rfq.currency) {
+          offerData.currency = rfq.currency;
+        }
       }
     }
 
@@ -582,7 +715,7 @@ router.post('/', authenticateToken, authorize(['quotation_create']), async (req,
     const header = await createQuotationHeader({
       ...headerData,
       ...userFields
-    });
+    }, req.user.userId);
 
     // Create first offer (now with RFQ data if applicable)
     const offer = await createQuotationOffer(header.quotationNumber, {
@@ -591,49 +724,24 @@ router.post('/', authenticateToken, authorize(['quotation_create']), async (req,
       approverId: header.approverId,
       creatorId: header.creatorId,
       marketingName: header.marketingName
-    });
+    }, req.user.userId);
 
     // If RFQ was provided, update its status
     if (rfqId) {
-      const { RFQ } = require('../models/rfq.model');
-      
       // Update RFQ status and link to quotation
-      await RFQ.findByIdAndUpdate(rfqId, {
-        status: 'quotation_created',
-        quotationId: header._id,
-        quotationCreatedAt: new Date()
-      });
+      await markQuotationCreated(rfqId, header._id);
     }
 
-    // Send email notifications
-    try {
-      // Get user details for email notifications
-      const requester = await User.findById(header.requesterId).select('email fullName');
-      const approver = await User.findById(header.approverId).select('email fullName');
-      
-      // Email to requester
-      if (requester && requester.email) {
-        sendQuotationNotificationEmail(
-          requester.email,
-          header.quotationNumber,
-          'created',
-          requester.fullName || requester.email
-        );
-      }
-      
-      // Email to approver (if different from requester)
-      if (approver && approver.email && approver._id.toString() !== requester._id.toString()) {
-        sendQuotationNotificationEmail(
-          approver.email,
-          header.quotationNumber,
-          'created',
-          approver.fullName || approver.email
-        );
-      }
-    } catch (emailError) {
-      console.error('Error sending email notifications:', emailError);
-      // Don't fail the request if email fails
-    }
+    // Notify requester and approver
+    await notifyUsers([header.requesterId, header.approverId], {
+      type: 'quotation_status_changed',
+      title: 'Quotation Created',
+      description: `Quotation ${header.quotationNumber} for ${header.customerName} has been created`,
+      entityType: 'QuotationHeader',
+      entityId: header._id,
+      entityNumber: header.quotationNumber,
+      emailData: { status: 'created' }
+    });
 
     res.status(201).json({
       success: true,
@@ -649,6 +757,52 @@ router.post('/', authenticateToken, authorize(['quotation_create']), async (req,
   }
 });
 
+/**
+ * GET /api/quotations/approval/approvers
+ * Permission: quotation_view
+ * Description: Users who can approve offers (hold quotation_approve)
+ */
+router.get('/approval/approvers', authenticateToken, authorize(['quotation_view']), async (req, res) => {
+  try {
+    const approvers = await getQuotationApprovers();
+    res.json({
+      success: true,
+      data: approvers,
+      message: 'Approvers retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching approvers:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/approval/pending
+ * Permission: quotation_approve
+ * Description: Offers waiting for approval that are assigned to the current user
+ * or to no one in particular. Admins can pass ?all=true to see every pending offer.
+ */
+router.get('/approval/pending', authenticateToken, authorize(['quotation_approve']), async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && req.userPermissions.includes('admin');
+    const offers = await getPendingApprovals(showAll ? null : req.user.userId);
+    res.json({
+      success: true,
+      data: offers,
+      message: 'Pending approvals retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching pending approvals:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get specific quotation by ID
 router.get('/by-id/:quotationId', authenticateToken, authorize(['quotation_view']), async (req, res) => {
   try {
@@ -708,14 +862,20 @@ router.get('/:quotationNumber', authenticateToken, authorize(['quotation_view'])
 });
 
 // Update quotation header
-router.put('/:quotationNumber', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.put('/:quotationNumber', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationNumber } = req.params;
-    const updateData = req.body;
+    // The follow-up log and its derived dates are only changed through the follow-up routes,
+    // status and selection only through the status route
+    const {
+      followUps, lastFollowUpDate, nextFollowUpDate, progress,
+      status, statusHistory, selectedOfferId, selectedOfferItemIds,
+      ...updateData
+    } = req.body;
 
     const result = await getQuotationOffers(quotationNumber);
 
-    const updatedHeader = await updateQuotationHeader(result.header._id, updateData);
+    const updatedHeader = await updateQuotationHeader(result.header._id, updateData, req.user.userId);
 
     res.json({
       success: true,
@@ -732,7 +892,7 @@ router.put('/:quotationNumber', authenticateToken, authorize(['quotation_edit'])
 });
 
 // Delete quotation (header + all offers + all items)
-router.delete('/:quotationNumber', authenticateToken, authorize(['quotation_delete']), async (req, res) => {
+router.delete('/:quotationNumber', authenticateToken, authorize(['quotation_delete']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationNumber } = req.params;
     const result = await getQuotationOffers(quotationNumber);
@@ -754,14 +914,8 @@ router.delete('/:quotationNumber', authenticateToken, authorize(['quotation_dele
     const { cleanupOrphanedImages } = require('./notesImages');
     const cleanupResult = await cleanupOrphanedImages(offerIds);
 
-    // Delete all offer items first
-    await OfferItem.deleteMany({ quotationOfferId: { $in: offerIds } });
-
-    // Delete all offers
-    await QuotationOffer.deleteMany({ quotationHeaderId: result.header._id });
-
-    // Delete header
-    await deleteQuotationHeader(result.header._id);
+    // Delete header together with all offers and offer items
+    await deleteQuotationHeader(result.header._id, req.user.userId);
 
     res.json({
       success: true,
@@ -779,71 +933,61 @@ router.delete('/:quotationNumber', authenticateToken, authorize(['quotation_dele
   }
 });
 
+/**
+ * POST /api/quotations/:quotationNumber/clone
+ * Permission: quotation_create
+ * Description: Copy a quotation into a new quotation with a fresh number.
+ * Body: { offerIds?, customerId?, customerName?, contactPerson?, deliveryLocation? }
+ * Without offerIds the latest revision of every offer is copied. Status, acceptance,
+ * approval and follow-ups are reset; items, specifications and notes images are copied.
+ */
+router.post('/:quotationNumber/clone', authenticateToken, authorize(['quotation_create']), async (req, res) => {
+  try {
+    const { quotationNumber } = req.params;
+    const { offerIds, customerId, customerName, contactPerson, deliveryLocation } = req.body;
+
+    const result = await cloneQuotation(quotationNumber, {
+      offerIds,
+      customer: { customerId, customerName, contactPerson, deliveryLocation }
+    }, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Quotation cloned successfully'
+    });
+  } catch (error) {
+    console.error('Error cloning quotation:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // ============================================================================
 // QUOTATION STATUS MANAGEMENT
 // ============================================================================
 
-// Update quotation status
+/**
+ * PATCH /api/quotations/:quotationNumber/status
+ * Permission: quotation_edit
+ * Description: Move a quotation to another status. Allowed transitions:
+ * open -> negotiation|win|loss|close, negotiation -> open|win|loss|close,
+ * reopened -> negotiation|win|loss|close, win|loss|close -> reopened.
+ * Body: { status, reasonCode + note + competitor (loss, close; see /api/status-reasons),
+ * reason (reopened), selectedOfferId (win), selectedOfferItemIds }
+ */
 router.patch('/:quotationNumber/status', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
   try {
     const { quotationNumber } = req.params;
-    const { status, reason, selectedOfferId, selectedOfferItemIds } = req.body;
-
-    const result = await getQuotationOffers(quotationNumber);
-
+    const { status, reason, reasonCode, note, competitor, selectedOfferId, selectedOfferItemIds } = req.body;
 
-    // Validate reason for loss/close
-    if (['loss', 'close'].includes(status) && (!reason || reason.trim() === '')) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Reason is required for loss/close status' 
-      });
-    }
-
-    // Update header
-    const updateData = {
-      status: { type: status || 'open', reason: reason || '' }
-    };
-    
-    // Only set selectedOfferId and selectedOfferItemIds for 'win' status, clear them for other statuses
-    if (status === 'win' && selectedOfferId) {
-      updateData.selectedOfferId = selectedOfferId;
-      updateData.selectedOfferItemIds = selectedOfferItemIds || [];
-      
-      // Mark selected items as accepted and unmark others
-      const allOfferItems = await OfferItem.find({ quotationOfferId: selectedOfferId });
-      
-      for (const item of allOfferItems) {
-        const isSelected = selectedOfferItemIds && selectedOfferItemIds.includes(item._id.toString());
-        await OfferItem.findByIdAndUpdate(item._id, {
-          isAccepted: isSelected,
-          acceptedAt: isSelected ? new Date() : null,
-          acceptedBy: isSelected ? req.user.userId : null
-        });
-      }
-    } else if (status !== 'win') {
-      updateData.selectedOfferId = null;
-      updateData.selectedOfferItemIds = [];
-      
-      // Clear acceptance status for all items when status is not 'win'
-      const allOffers = result.offers.flatMap(offerGroup => [
-        ...(offerGroup.original ? [offerGroup.original] : []),
-        ...(offerGroup.revisions || [])
-      ]);
-      
-      for (const offer of allOffers) {
-        await OfferItem.updateMany(
-          { quotationOfferId: offer._id },
-          { 
-            isAccepted: false,
-            acceptedAt: null,
-            acceptedBy: null
-          }
-        );
-      }
-    }
-    
-    const updatedHeader = await updateQuotationHeader(result.header._id, updateData);
+    const updatedHeader = await changeQuotationStatus(
+      quotationNumber,
+      { status, reason, reasonCode, note, competitor, selectedOfferId, selectedOfferItemIds },
+      req.user.userId
+    );
 
     res.json({
       success: true,
@@ -859,6 +1003,80 @@ router.patch('/:quotationNumber/status', authenticateToken, authorize(['quotatio
   }
 });
 
+/**
+ * GET /api/quotations/:quotationNumber/status-history
+ * Permission: quotation_view
+ * Description: Status transitions with actor, timestamp and time spent in each status,
+ * plus the transitions allowed from the current status
+ */
+router.get('/:quotationNumber/status-history', authenticateToken, authorize(['quotation_view']), async (req, res) => {
+  try {
+    const { quotationNumber } = req.params;
+
+    const history = await getQuotationStatusHistory(quotationNumber);
+    res.json({
+      success: true,
+      data: history,
+      message: 'Status history retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:quotationNumber/unlock
+ * Permission: admin
+ * Description: Allow edits on a won, lost or closed quotation until its next status change.
+ * Body: { reason } (required, recorded in the audit trail)
+ */
+router.post('/:quotationNumber/unlock', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { quotationNumber } = req.params;
+
+    const header = await unlockQuotation(quotationNumber, req.body.reason, req.user.userId);
+    res.json({
+      success: true,
+      data: header,
+      message: 'Quotation unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Error unlocking quotation:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:quotationNumber/lock
+ * Permission: admin
+ * Description: Lock an unlocked quotation again
+ */
+router.post('/:quotationNumber/lock', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { quotationNumber } = req.params;
+
+    const header = await lockQuotation(quotationNumber, req.user.userId);
+    res.json({
+      success: true,
+      data: header,
+      message: 'Quotation locked successfully'
+    });
+  } catch (error) {
+    console.error('Error locking quotation:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // ============================================================================
 // OFFER MANAGEMENT ROUTES
 // ============================================================================
@@ -885,7 +1103,7 @@ router.get('/:quotationNumber/offers', authenticateToken, authorize(['quotation_
 });
 
 // Create new offer for a quotation
-router.post('/:quotationId/offers', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.post('/:quotationId/offers', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationId } = req.params;
     const offerData = req.body;
@@ -913,7 +1131,7 @@ router.post('/:quotationId/offers', authenticateToken, authorize(['quotation_edi
       approverId: header.approverId,
       creatorId: header.creatorId,
       marketingName: req.user.fullName ? req.user.fullName.split(' ')[0] : req.user.email
-    });
+    }, req.user.userId);
 
     res.status(201).json({
       success: true,
@@ -930,7 +1148,7 @@ router.post('/:quotationId/offers', authenticateToken, authorize(['quotation_edi
 });
 
 // Update specific offer
-router.put('/:quotationId/offers/:offerId', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.put('/:quotationId/offers/:offerId', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationId, offerId } = req.params;
     const updateData = req.body;
@@ -952,7 +1170,7 @@ router.put('/:quotationId/offers/:offerId', authenticateToken, authorize(['quota
       });
     }
 
-    const updatedOffer = await updateQuotationOffer(offerId, updateData);
+    const updatedOffer = await updateQuotationOffer(offerId, updateData, req.user.userId);
 
     res.json({
       success: true,
@@ -969,7 +1187,7 @@ router.put('/:quotationId/offers/:offerId', authenticateToken, authorize(['quota
 });
 
 // Delete specific offer
-router.delete('/:quotationId/offers/:offerId', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.delete('/:quotationId/offers/:offerId', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationId, offerId } = req.params;
 
@@ -994,11 +1212,8 @@ router.delete('/:quotationId/offers/:offerId', authenticateToken, authorize(['qu
     const { cleanupOrphanedImages } = require('./notesImages');
     const cleanupResult = await cleanupOrphanedImages([offerId]);
 
-    // Delete all offer items first
-    await OfferItem.deleteMany({ quotationOfferId: offerId });
-
-    // Delete the offer
-    await deleteQuotationOffer(offerId);
+    // Delete the offer together with its items
+    await deleteQuotationOffer(offerId, req.user.userId);
 
     res.json({
       success: true,
@@ -1016,6 +1231,176 @@ router.delete('/:quotationId/offers/:offerId', authenticateToken, authorize(['qu
   }
 });
 
+/**
+ * PATCH /api/quotations/:quotationNumber/offers/:offerId/validity
+ * Permission: quotation_edit
+ * Description: Extend the validity of an offer; creates a revision with the new validUntil
+ */
+router.patch('/:quotationNumber/offers/:offerId/validity', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
+  try {
+    const { quotationNumber, offerId } = req.params;
+    const { validUntil } = req.body;
+
+    if (!validUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'validUntil is required'
+      });
+    }
+
+    const revision = await extendOfferValidity(quotationNumber, offerId, validUntil, req.user.userId);
+    res.json({
+      success: true,
+      data: revision,
+      message: 'Offer validity extended successfully'
+    });
+  } catch (error) {
+    console.error('Error extending offer validity:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:quotationNumber/offers/:offerId/diff
+ * Permission: quotation_view
+ * Description: Compare an offer with its parent revision, or with another revision
+ * of the same offer passed as ?compareTo=<offerId>
+ */
+router.get('/:quotationNumber/offers/:offerId/diff', authenticateToken, authorize(['quotation_view']), async (req, res) => {
+  try {
+    const { quotationNumber, offerId } = req.params;
+    const { compareTo } = req.query;
+
+    const diff = await compareOfferRevisions(quotationNumber, offerId, compareTo || null);
+
+    res.json({
+      success: true,
+      data: diff,
+      message: 'Offer revision diff retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error comparing offer revisions:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quotations/:quotationNumber/offers/:offerId/pdf
+ * Permission: quotation_view
+ * Description: Download the printable quotation letter for an offer
+ */
+router.get('/:quotationNumber/offers/:offerId/pdf', authenticateToken, authorize(['quotation_view']), async (req, res) => {
+  try {
+    const { quotationNumber, offerId } = req.params;
+
+    const offer = await QuotationOffer.findById(offerId).select('approval');
+    if (offer && !isOfferSendable(offer)) {
+      return res.status(403).json({
+        success: false,
+        message: `Offer requires approval before it can be exported (approval status: ${offer.approval.status})`
+      });
+    }
+
+    const { buffer, filename } = await generateOfferPdf(quotationNumber, offerId);
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating offer PDF:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// OFFER APPROVAL ROUTES
+// ============================================================================
+
+/**
+ * POST /api/quotations/:quotationNumber/offers/:offerId/approval/submit
+ * Permission: quotation_edit
+ * Description: Submit an offer that exceeds the discount thresholds for approval.
+ * Body: { approverId?, comment? } - without approverId every approver is notified
+ */
+router.post('/:quotationNumber/offers/:offerId/approval/submit', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
+  try {
+    const { quotationNumber, offerId } = req.params;
+    const { approverId, comment } = req.body;
+
+    const offer = await submitOfferForApproval(quotationNumber, offerId, { approverId, comment }, req.user.userId);
+    res.json({
+      success: true,
+      data: offer,
+      message: 'Offer submitted for approval successfully'
+    });
+  } catch (error) {
+    console.error('Error submitting offer for approval:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:quotationNumber/offers/:offerId/approval/approve
+ * Permission: quotation_approve
+ * Description: Approve an offer that is pending approval. Body: { comment? }
+ */
+router.post('/:quotationNumber/offers/:offerId/approval/approve', authenticateToken, authorize(['quotation_approve']), rejectLockedQuotation, async (req, res) => {
+  try {
+    const { quotationNumber, offerId } = req.params;
+
+    const offer = await decideOfferApproval(quotationNumber, offerId, 'approved', req.body.comment || '', req.user.userId);
+    res.json({
+      success: true,
+      data: offer,
+      message: 'Offer approved successfully'
+    });
+  } catch (error) {
+    console.error('Error approving offer:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:quotationNumber/offers/:offerId/approval/reject
+ * Permission: quotation_approve
+ * Description: Reject an offer that is pending approval. Body: { comment } (required)
+ */
+router.post('/:quotationNumber/offers/:offerId/approval/reject', authenticateToken, authorize(['quotation_approve']), rejectLockedQuotation, async (req, res) => {
+  try {
+    const { quotationNumber, offerId } = req.params;
+
+    const offer = await decideOfferApproval(quotationNumber, offerId, 'rejected', req.body.comment || '', req.user.userId);
+    res.json({
+      success: true,
+      data: offer,
+      message: 'Offer rejected successfully'
+    });
+  } catch (error) {
+    console.error('Error rejecting offer:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // ============================================================================
 // OFFER ITEMS MANAGEMENT ROUTES
 // ============================================================================
@@ -1046,34 +1431,13 @@ router.get('/:quotationNumber/offers/:offerId/items', authenticateToken, authori
 });
 
 // Create new item for a specific offer
-router.post('/:quotationNumber/offers/:offerId/items', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.post('/:quotationNumber/offers/:offerId/items', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationNumber, offerId } = req.params;
     const itemData = req.body;
 
-    const result = await getQuotationOffers(quotationNumber);
-
-
-    // Get the next item number
-    const existingItems = await OfferItem.find({ quotationOfferId: offerId })
-      .sort({ itemNumber: -1 })
-      .limit(1);
-    
-    const nextItemNumber = existingItems.length > 0 ? existingItems[0].itemNumber + 1 : 1;
-
-    const offerItem = new OfferItem({
-      ...itemData,
-      quotationOfferId: offerId,
-      itemNumber: nextItemNumber
-    });
-
-    await offerItem.save();
-
-    // Update offer totals
-    const offer = await QuotationOffer.findById(offerId);
-    if (offer) {
-      await offer.save(); // This will trigger the pre-save hook to recalculate totals
-    }
+    // Creates the item and recalculates offer totals
+    const offerItem = await createOfferItem(quotationNumber, offerId, itemData, req.user.userId);
 
     res.status(201).json({
       success: true,
@@ -1090,25 +1454,13 @@ router.post('/:quotationNumber/offers/:offerId/items', authenticateToken, author
 });
 
 // Update specific offer item
-router.put('/:quotationNumber/offers/:offerId/items/:itemId', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.put('/:quotationNumber/offers/:offerId/items/:itemId', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationNumber, offerId, itemId } = req.params;
     const updateData = req.body;
 
-    const result = await getQuotationOffers(quotationNumber);
-
-
-    // Handle empty string for drawingSpecification
-    const processedUpdateData = { ...updateData };
-    if (processedUpdateData.drawingSpecification === '') {
-      processedUpdateData.drawingSpecification = null;
-    }
-
-    const offerItem = await OfferItem.findByIdAndUpdate(
-      itemId,
-      { ...processedUpdateData, quotationOfferId: offerId },
-      { new: true, runValidators: true }
-    );
+    // Updates the item and recalculates offer totals
+    const offerItem = await updateOfferItem(quotationNumber, offerId, itemId, updateData, req.user.userId);
 
     if (!offerItem) {
       return res.status(404).json({
@@ -1117,12 +1469,6 @@ router.put('/:quotationNumber/offers/:offerId/items/:itemId', authenticateToken,
       });
     }
 
-    // Update offer totals
-    const offer = await QuotationOffer.findById(offerId);
-    if (offer) {
-      await offer.save(); // This will trigger the pre-save hook to recalculate totals
-    }
-
     res.json({
       success: true,
       data: offerItem,
@@ -1138,13 +1484,12 @@ router.put('/:quotationNumber/offers/:offerId/items/:itemId', authenticateToken,
 });
 
 // Delete specific offer item
-router.delete('/:quotationNumber/offers/:offerId/items/:itemId', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.delete('/:quotationNumber/offers/:offerId/items/:itemId', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationNumber, offerId, itemId } = req.params;
 
-    const result = await getQuotationOffers(quotationNumber);
-
-    const offerItem = await OfferItem.findByIdAndDelete(itemId);
+    // Deletes the item and recalculates offer totals
+    const offerItem = await deleteOfferItem(quotationNumber, offerId, itemId, req.user.userId);
 
     if (!offerItem) {
       return res.status(404).json({
@@ -1153,12 +1498,6 @@ router.delete('/:quotationNumber/offers/:offerId/items/:itemId', authenticateTok
       });
     }
 
-    // Update offer totals
-    const offer = await QuotationOffer.findById(offerId);
-    if (offer) {
-      await offer.save(); // This will trigger the pre-save hook to recalculate totals
-    }
-
     res.json({
       success: true,
       message: 'Offer item deleted successfully'
@@ -1173,14 +1512,12 @@ router.delete('/:quotationNumber/offers/:offerId/items/:itemId', authenticateTok
 });
 
 // Toggle item acceptance status
-router.patch('/:quotationNumber/offers/:offerId/items/:itemId/accept', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+router.patch('/:quotationNumber/offers/:offerId/items/:itemId/accept', authenticateToken, authorize(['quotation_edit']), rejectLockedQuotation, async (req, res) => {
   try {
     const { quotationNumber, offerId, itemId } = req.params;
 
-    const result = await getQuotationOffers(quotationNumber);
-
-
-    const offerItem = await OfferItem.findById(itemId);
+    // Toggles acceptance and recalculates offer totals
+    const offerItem = await toggleOfferItemAcceptance(quotationNumber, offerId, itemId, req.user.userId);
 
     if (!offerItem) {
       return res.status(404).json({
@@ -1189,24 +1526,6 @@ router.patch('/:quotationNumber/offers/:offerId/items/:itemId/accept', authentic
       });
     }
 
-    // Toggle acceptance status
-    offerItem.isAccepted = !offerItem.isAccepted;
-    if (offerItem.isAccepted) {
-      offerItem.acceptedAt = new Date();
-      offerItem.acceptedBy = req.user.userId;
-    } else {
-      offerItem.acceptedAt = undefined;
-      offerItem.acceptedBy = undefined;
-    }
-
-    await offerItem.save();
-
-    // Update offer totals
-    const offer = await QuotationOffer.findById(offerId);
-    if (offer) {
-      await offer.save(); // This will trigger the pre-save hook to recalculate totals
-    }
-
     res.json({
       success: true,
       data: offerItem,
@@ -1222,24 +1541,137 @@ router.patch('/:quotationNumber/offers/:offerId/items/:itemId/accept', authentic
 });
 
 // ============================================================================
-// PROGRESS AND FOLLOW-UP ROUTES
+// FOLLOW-UP ROUTES
 // ============================================================================
 
-// Add progress entry to quotation
+// Follow-up entries can only be changed by their author or an admin
+const canChangeFollowUp = (req, followUp) => {
+  const isAuthor = followUp.authorId && followUp.authorId.toString() === req.user.userId.toString();
+  return isAuthor || (req.userPermissions || []).includes('admin');
+};
+
+/**
+ * GET /api/quotations/:quotationNumber/follow-ups
+ * Permission: quotation_view
+ * Description: Follow-up log of a quotation (newest first)
+ */
+router.get('/:quotationNumber/follow-ups', authenticateToken, authorize(['quotation_view']), async (req, res) => {
+  try {
+    const followUps = await getFollowUps(req.params.quotationNumber);
+    res.json({
+      success: true,
+      data: followUps,
+      message: 'Follow-ups retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting follow-ups:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/quotations/:quotationNumber/follow-ups
+ * Permission: quotation_edit
+ * Description: Record a follow-up (activityType: call | visit | email | whatsapp | other,
+ * contactName, outcome, activityDate, nextFollowUpDate). Updates lastFollowUpDate.
+ */
+router.post('/:quotationNumber/follow-ups', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+  try {
+    const { followUp } = await addFollowUp(req.params.quotationNumber, req.body, req.user.userId);
+    res.status(201).json({
+      success: true,
+      data: followUp,
+      message: 'Follow-up recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error recording follow-up:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/quotations/:quotationNumber/follow-ups/:followUpId
+ * Permission: quotation_edit (author only, or admin)
+ * Description: Update a follow-up entry
+ */
+router.put('/:quotationNumber/follow-ups/:followUpId', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+  try {
+    const { quotationNumber, followUpId } = req.params;
+
+    const existing = await getFollowUp(quotationNumber, followUpId);
+    if (!canChangeFollowUp(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can change this follow-up'
+      });
+    }
+
+    const { followUp } = await updateFollowUp(quotationNumber, followUpId, req.body, req.user.userId);
+    res.json({
+      success: true,
+      data: followUp,
+      message: 'Follow-up updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating follow-up:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/quotations/:quotationNumber/follow-ups/:followUpId
+ * Permission: quotation_edit (author only, or admin)
+ * Description: Delete a follow-up entry
+ */
+router.delete('/:quotationNumber/follow-ups/:followUpId', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
+  try {
+    const { quotationNumber, followUpId } = req.params;
+
+    const existing = await getFollowUp(quotationNumber, followUpId);
+    if (!canChangeFollowUp(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can delete this follow-up'
+      });
+    }
+
+    await deleteFollowUp(quotationNumber, followUpId, req.user.userId);
+    res.json({
+      success: true,
+      message: 'Follow-up deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting follow-up:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add progress entry to quotation (kept for older clients; stored as a follow-up)
 router.post('/:quotationNumber/progress', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
   try {
     const { quotationNumber } = req.params;
     const { progress } = req.body;
 
-    const result = await getQuotationOffers(quotationNumber);
-
-    const updatedHeader = await updateQuotationHeader(result.header._id, {
-      $push: { progress: progress }
-    });
+    const { header } = await addFollowUp(quotationNumber, {
+      activityType: 'other',
+      outcome: progress
+    }, req.user.userId);
 
     res.json({
       success: true,
-      data: updatedHeader,
+      data: header,
       message: 'Progress added successfully'
     });
   } catch (error) {
@@ -1251,19 +1683,21 @@ router.post('/:quotationNumber/progress', authenticateToken, authorize(['quotati
   }
 });
 
-// Update last follow-up date
+// Record a follow-up without details (kept for older clients; stored as a follow-up)
 router.patch('/:quotationNumber/follow-up', authenticateToken, authorize(['quotation_edit']), async (req, res) => {
   try {
     const { quotationNumber } = req.params;
 
-    const result = await getQuotationOffers(quotationNumber);
-
-
-    const updatedHeader = await updateLastFollowUp(result.header._id);
+    const { header } = await addFollowUp(quotationNumber, {
+      activityType: req.body.activityType || 'other',
+      contactName: req.body.contactName,
+      outcome: req.body.outcome || 'Follow-up recorded',
+      nextFollowUpDate: req.body.nextFollowUpDate
+    }, req.user.userId);
 
     res.json({
       success: true,
-      data: updatedHeader,
+      data: header,
       message: 'Follow-up date updated successfully'
     });
   } catch (error) {
@@ -1275,6 +1709,42 @@ router.patch('/:quotationNumber/follow-up', authenticateToken, authorize(['quota
   }
 });
 
+// ============================================================================
+// AUDIT HISTORY ROUTES
+// ============================================================================
+
+/**
+ * GET /api/quotations/:quotationNumber/history
+ * Permission: quotation_view
+ * Description: Audit trail of header, offer and item changes (newest first).
+ * Optional filters: entityType, entityId, page, limit
+ */
+router.get('/:quotationNumber/history', authenticateToken, authorize(['quotation_view']), async (req, res) => {
+  try {
+    const { quotationNumber } = req.params;
+    const { page = 1, limit = 50, entityType, entityId } = req.query;
+
+    const result = await getAuditHistory(
+      quotationNumber,
+      { entityType, entityId },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination,
+      message: 'Quotation history retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting quotation history:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // ============================================================================
 // UTILITY ROUTES
 // ============================================================================
@@ -1282,7 +1752,8 @@ router.patch('/:quotationNumber/follow-up', authenticateToken, authorize(['quota
 // Generate new quotation number
 router.get('/generate/number', authenticateToken, authorize(['quotation_create']), async (req, res) => {
   try {
-    const quotationNumber = await generateQuotationNumber();
+    // Preview only - the number is assigned when the quotation is created
+    const quotationNumber = await previewQuotationNumber();
     res.json({
       success: true,
       data: { quotationNumber },
@@ -1298,6 +1769,24 @@ router.get('/generate/number', authenticateToken, authorize(['quotation_create']
 });
 
 
+// Migrate legacy progress strings to the follow-up log
+router.post('/migrate/follow-up-log', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const result = await migrateProgressToFollowUps();
+    res.json({
+      success: true,
+      data: result,
+      message: 'Progress notes migrated successfully'
+    });
+  } catch (error) {
+    console.error('Error migrating progress notes:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Migrate offer numbers (utility for existing data)
 router.post('/migrate/offer-numbers', authenticateToken, authorize('admin'), async (req, res) => {
   try {
@@ -1316,4 +1805,22 @@ router.post('/migrate/offer-numbers', authenticateToken, authorize('admin'), asy
   }
 });
 
+// Recalculate PPN of all offers (backfill, or after a tax rate change)
+router.post('/migrate/offer-taxes', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const result = await recalculateOfferTaxes();
+    res.json({
+      success: true,
+      data: result,
+      message: 'Offer taxes recalculated successfully'
+    });
+  } catch (error) {
+    console.error('Error recalculating offer taxes:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
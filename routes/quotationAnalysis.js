@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, authorize } = require('../middleware/auth');
 const { getQuotationAnalysis } = require('../utils/quotationHelper');
+const { getSalesFunnel, getWeightedForecast } = require('../utils/analyticsHelper');
 
 // ============================================================================
 // QUOTATION ANALYSIS ROUTES
@@ -31,6 +32,46 @@ router.get('/overview', authenticateToken, authorize(["placeholder_test"]), asyn
   }
 });
 
+// Get the RFQ-to-win sales funnel (RFQs submitted → bid → quotation created → won) with
+// conversion rates and median stage durations, overall and by requester, approver and quotation creator
+router.get('/funnel', authenticateToken, authorize(['analytics_view']), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const funnel = await getSalesFunnel({ startDate, endDate });
+    res.json({
+      success: true,
+      data: funnel,
+      message: 'Sales funnel retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting sales funnel:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the weighted forecast: quotation value × RFQ confidence rate by expected delivery month,
+// compared with actual wins, overall and per marketing person
+router.get('/forecast', authenticateToken, authorize(['analytics_view']), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const forecast = await getWeightedForecast({ startDate, endDate });
+    res.json({
+      success: true,
+      data: forecast,
+      message: 'Forecast retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting forecast:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get detailed quotation statistics by status
 router.get('/status-breakdown', authenticateToken, authorize(["placeholder_test"]), async (req, res) => {
   try {
@@ -155,8 +196,10 @@ router.get('/performance', authenticateToken, authorize(["placeholder_test"]), a
     // Extract performance metrics
     const performance = {
       totalQuotations: analysis.totalQuotations,
-      totalValue: analysis.totalValue,
-      averageQuotationValue: analysis.averageQuotationValue,
+      totalValue: analysis.valueSummary.quotedValue,
+      wonValue: analysis.valueSummary.wonValue,
+      pipelineValue: analysis.valueSummary.pipelineValue,
+      averageQuotationValue: analysis.valueSummary.averageDealSize,
       winRate: analysis.winRate,
       lossRate: analysis.lossRate,
       pendingRate: analysis.pendingRate,
@@ -235,8 +278,14 @@ const convertAnalysisToCSV = (analysis) => {
     ['Loss Rate', analysis.lossRate, `${analysis.lossRate}%`],
     ['Pending Rate', analysis.pendingRate, `${analysis.pendingRate}%`],
     ['Follow-up Rate', analysis.followUpRate, `${analysis.followUpRate}%`],
-    ['Total Value', analysis.totalValue, ''],
-    ['Average Quotation Value', analysis.averageQuotationValue, '']
+    ['Total Value', analysis.valueSummary?.quotedValue, ''],
+    ['Won Value', analysis.valueSummary?.wonValue, ''],
+    ['Pipeline Value', analysis.valueSummary?.pipelineValue, ''],
+    ['Average Quotation Value', analysis.valueSummary?.averageDealSize, ''],
+    ['Average Won Deal Size', analysis.valueSummary?.averageWonDealSize, ''],
+    ['Total DPP', analysis.financialSummary?.totalDPP, ''],
+    ['Total PPN', analysis.financialSummary?.totalPPN, ''],
+    ['Grand Total', analysis.financialSummary?.grandTotal, '']
   ];
   
   const csvContent = [headers, ...rows]
@@ -10,8 +10,7 @@ const { RFQ, RFQItem } = require('../models/rfq.model');
 const User = require('../models/user.model');
 const { authenticateToken, authorize } = require('../middleware/auth');
 const { sendSuccessResponse, sendErrorResponse } = require('../utils/errorHandler');
-const { addNotification } = require('../utils/notificationHelper');
-const { sendRFQNotificationEmail } = require('../utils/emailUtils');
+const { notifyInBackground } = require('../utils/notificationService');
 const { hasPermission } = require('../utils/permissionHelper');
 const {
   createRFQ,
@@ -27,6 +26,7 @@ const {
   updateRFQItem,
   deleteRFQItem
 } = require('../utils/rfqHelper');
+const { resolveCustomer } = require('../utils/customerHelper');
 
 
 // GET /api/rfq/approved-for-quotation - get approved RFQs for quotation creation
@@ -164,6 +164,7 @@ router.post('/', authenticateToken, authorize(['quotation_requester']), async (r
       approverId, 
       quotationCreatorId, 
       description, 
+      customerId,
       customerName, 
       contactPerson,
       priority,
@@ -178,8 +179,8 @@ router.post('/', authenticateToken, authorize(['quotation_requester']), async (r
     const requesterId = req.user.userId;
     
     // Validation
-    if (!approverId || !quotationCreatorId || !customerName || !contactPerson?.name) {
-      return sendErrorResponse(res, 400, 'Approver, quotation creator, customer name, and contact person name are required');
+    if (!approverId || !quotationCreatorId || (!customerId && (!customerName || !contactPerson?.name))) {
+      return sendErrorResponse(res, 400, 'Approver, quotation creator, and a customer (customerId, or customer name and contact person name) are required');
     }
     
     if (confidenceRate === undefined || confidenceRate === null || confidenceRate < 0 || confidenceRate > 100) {
@@ -229,13 +230,17 @@ router.post('/', authenticateToken, authorize(['quotation_requester']), async (r
       return sendErrorResponse(res, 400, 'Selected quotation creator does not have quotation_create permission');
     }
     
+    // Link the RFQ to customer master data (matched by name or created when new)
+    const customer = await resolveCustomer({ customerId, customerName, contactPerson }, requesterId);
+
     const rfqData = {
       requesterId,
       approverId,
       quotationCreatorId,
       description: description || '',
-      customerName,
-      contactPerson,
+      customerId: customer.customerId,
+      customerName: customer.customerName,
+      contactPerson: customer.contactPerson,
       priority: priority || 'medium',
       expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined,
       confidenceRate: parseInt(confidenceRate),
@@ -261,25 +266,17 @@ router.post('/', authenticateToken, authorize(['quotation_requester']), async (r
       });
     }
     
-    // Send notification to approver
-    await addNotification({
-      userId: approverId,
+    // Notify approver
+    notifyInBackground([approverId], {
+      type: 'rfq_submitted',
       title: 'New RFQ Request',
-      description: `New RFQ request for ${customerName} from ${req.user.fullName || req.user.email}`,
-      path: '/quotations'
+      description: `New RFQ request for ${customer.customerName} from ${req.user.fullName || req.user.email}`,
+      emailMessage: `New RFQ request for ${customer.customerName} requires your approval. Please review and approve/reject the request.`,
+      entityType: 'RFQ',
+      entityId: rfq._id,
+      entityNumber: rfq.rfqNumber
     });
     
-    // Send email notification to approver
-    const approverUser = await User.findById(approverId).select('email fullName');
-    if (approverUser && approverUser.email) {
-      sendRFQNotificationEmail(
-        approverUser.email,
-        rfq.rfqNumber,
-        `New RFQ request for ${customerName} requires your approval. Please review and approve/reject the request.`,
-        approverUser.fullName || approverUser.email
-      );
-    }
-    
     return sendSuccessResponse(res, 201, 'RFQ created successfully', { rfq });
   } catch (e) {
     return sendErrorResponse(res, 500, 'Failed to create RFQ', e.message);
@@ -323,46 +320,28 @@ router.patch('/:id/approve', authenticateToken, authorize(['approve_rfq']), asyn
     
     const rfq = await approveRFQ(id, approvalData);
     
-    // Send notification to requester
-    await addNotification({
-      userId: rfq.requesterId._id,
+    // Notify requester
+    notifyInBackground([rfq.requesterId._id], {
+      type: 'rfq_approved',
       title: 'RFQ Approved - Bid Decision',
       description: `Your RFQ "${rfq.title}" has been approved with bid decision`,
-      path: '/quotations'
+      emailMessage: `Your RFQ request has been approved with bid decision. The quotation creation process can now begin.`,
+      entityType: 'RFQ',
+      entityId: rfq._id,
+      entityNumber: rfq.rfqNumber
     });
     
-    // Send notification to quotation creator
-    await addNotification({
-      userId: rfq.quotationCreatorId._id,
+    // Notify quotation creator
+    notifyInBackground([rfq.quotationCreatorId._id], {
+      type: 'rfq_approved',
       title: 'RFQ Approved - Create Quotation',
       description: `RFQ "${rfq.title}" has been approved. You can now create the quotation.`,
-      path: '/quotations'
+      emailMessage: `RFQ has been approved. You can now create the quotation for this request.`,
+      entityType: 'RFQ',
+      entityId: rfq._id,
+      entityNumber: rfq.rfqNumber
     });
     
-    // Send email notifications
-    const requester = await User.findById(rfq.requesterId._id).select('email fullName');
-    const quotationCreator = await User.findById(rfq.quotationCreatorId._id).select('email fullName');
-    
-    // Email to requester
-    if (requester && requester.email) {
-      sendRFQNotificationEmail(
-        requester.email,
-        rfq.rfqNumber,
-        `Your RFQ request has been approved with bid decision. The quotation creation process can now begin.`,
-        requester.fullName || requester.email
-      );
-    }
-    
-    // Email to quotation creator
-    if (quotationCreator && quotationCreator.email) {
-      sendRFQNotificationEmail(
-        quotationCreator.email,
-        rfq.rfqNumber,
-        `RFQ has been approved. You can now create the quotation for this request.`,
-        quotationCreator.fullName || quotationCreator.email
-      );
-    }
-    
     return sendSuccessResponse(res, 200, 'RFQ approved successfully', { rfq });
   } catch (e) {
     return sendErrorResponse(res, 500, 'Failed to approve RFQ', e.message);
@@ -402,25 +381,17 @@ router.patch('/:id/reject', authenticateToken, authorize(['approve_rfq']), async
     
     const rfq = await rejectRFQ(id, rejectionData);
     
-    // Send notification to requester
-    await addNotification({
-      userId: rfq.requesterId._id,
+    // Notify requester
+    notifyInBackground([rfq.requesterId._id], {
+      type: 'rfq_rejected',
       title: 'RFQ Rejected - No Bid Decision',
       description: `Your RFQ "${rfq.title}" has been rejected with no bid decision`,
-      path: '/quotations'
+      emailMessage: `Your RFQ request has been rejected with no bid decision. Please review the feedback and consider alternative approaches.`,
+      entityType: 'RFQ',
+      entityId: rfq._id,
+      entityNumber: rfq.rfqNumber
     });
     
-    // Send email notification to requester
-    const requester = await User.findById(rfq.requesterId._id).select('email fullName');
-    if (requester && requester.email) {
-      sendRFQNotificationEmail(
-        requester.email,
-        rfq.rfqNumber,
-        `Your RFQ request has been rejected with no bid decision. Please review the feedback and consider alternative approaches.`,
-        requester.fullName || requester.email
-      );
-    }
-    
     return sendSuccessResponse(res, 200, 'RFQ rejected successfully', { rfq });
   } catch (e) {
     return sendErrorResponse(res, 500, 'Failed to reject RFQ', e.message);
@@ -0,0 +1,45 @@
+// =============================================================================
+// SETTINGS ROUTES
+// =============================================================================
+// Company-wide configuration such as the default offer validity.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse } = require('../utils/errorHandler');
+const { getSettings, updateSetting } = require('../utils/settingsHelper');
+const { applyNotificationRetention } = require('../utils/notificationHelper');
+
+/**
+ * GET /api/settings
+ * Permission: Any authenticated user
+ * Description: List settings with their current values and defaults
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getSettings();
+    return sendSuccessResponse(res, 200, 'Settings retrieved', { settings });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch settings', e.message);
+  }
+});
+
+/**
+ * PUT /api/settings/:key
+ * Permission: admin
+ * Description: Update a setting value ({ value }). Changing notificationRetentionDays
+ * also moves the expiry of existing notifications.
+ */
+router.put('/:key', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const setting = await updateSetting(req.params.key, req.body.value, req.user.userId);
+    if (req.params.key === 'notificationRetentionDays') {
+      await applyNotificationRetention();
+    }
+    return sendSuccessResponse(res, 200, 'Setting updated', { setting });
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// =============================================================================
+// STATUS REASON ROUTES
+// =============================================================================
+// Managed catalog of reasons for losing or closing a quotation.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, handleValidationError } = require('../utils/errorHandler');
+const {
+  getStatusReasons,
+  createStatusReason,
+  updateStatusReason,
+  deleteStatusReason,
+  migrateStatusReasons
+} = require('../utils/statusReasonHelper');
+
+/**
+ * GET /api/status-reasons?status=loss&includeInactive=true
+ * Permission: Any authenticated user
+ * Description: List reasons, optionally only those for loss or close
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const reasons = await getStatusReasons({
+      status: req.query.status,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    return sendSuccessResponse(res, 200, 'Status reasons retrieved', { reasons });
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch status reasons', e.message);
+  }
+});
+
+/**
+ * POST /api/status-reasons
+ * Permission: admin
+ * Description: Add a reason. Body: { code, label, appliesTo: ['loss'|'close'], description, requiresCompetitor, sortOrder }
+ */
+router.post('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const reason = await createStatusReason(req.body, req.user.userId);
+    return sendSuccessResponse(res, 201, 'Status reason created', { reason });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError' || e.code === 11000) {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * POST /api/status-reasons/migrate
+ * Permission: admin
+ * Description: Assign reason codes to lost and closed quotations whose free-text reason matches a code or label
+ */
+router.post('/migrate', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const result = await migrateStatusReasons();
+    return sendSuccessResponse(res, 200, 'Status reasons migrated', result);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to migrate status reasons', e.message);
+  }
+});
+
+/**
+ * PUT /api/status-reasons/:id
+ * Permission: admin
+ * Description: Update a reason (the code cannot change)
+ */
+router.put('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const reason = await updateStatusReason(req.params.id, req.body);
+    return sendSuccessResponse(res, 200, 'Status reason updated', { reason });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * DELETE /api/status-reasons/:id
+ * Permission: admin
+ * Description: Delete a reason no quotation uses
+ */
+router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    await deleteStatusReason(req.params.id);
+    return sendSuccessResponse(res, 200, 'Status reason deleted');
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
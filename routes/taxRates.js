@@ -0,0 +1,104 @@
+// =============================================================================
+// TAX RATE ROUTES
+// =============================================================================
+// Admin management of PPN rates and the date each rate takes effect.
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, handleValidationError } = require('../utils/errorHandler');
+const {
+  getTaxRates,
+  getPPNRate,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+} = require('../utils/taxHelper');
+
+/**
+ * GET /api/tax-rates
+ * Permission: admin
+ * Description: List configured PPN rates and the built-in defaults
+ */
+router.get('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const result = await getTaxRates();
+    return sendSuccessResponse(res, 200, 'Tax rates retrieved', result);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch tax rates', e.message);
+  }
+});
+
+/**
+ * GET /api/tax-rates/effective?date=YYYY-MM-DD
+ * Permission: Any authenticated user
+ * Description: PPN rate in effect on a date (default: today)
+ */
+router.get('/effective', authenticateToken, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return sendErrorResponse(res, 400, 'Invalid date');
+    }
+    const rate = await getPPNRate(date);
+    return sendSuccessResponse(res, 200, 'Effective tax rate retrieved', rate);
+  } catch (e) {
+    return sendErrorResponse(res, 500, 'Failed to fetch effective tax rate', e.message);
+  }
+});
+
+/**
+ * POST /api/tax-rates
+ * Permission: admin
+ * Description: Add a PPN rate with its effective date
+ */
+router.post('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const taxRate = await createTaxRate(req.body, req.user.userId);
+    return sendSuccessResponse(res, 201, 'Tax rate created', { taxRate });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    if (e.code === 11000) {
+      return sendErrorResponse(res, 400, 'A tax rate already starts on this date');
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * PUT /api/tax-rates/:id
+ * Permission: admin
+ * Description: Update a PPN rate
+ */
+router.put('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const taxRate = await updateTaxRate(req.params.id, req.body);
+    return sendSuccessResponse(res, 200, 'Tax rate updated', { taxRate });
+  } catch (e) {
+    if (e.name === 'ValidationError' || e.name === 'CastError') {
+      return handleValidationError(res, e);
+    }
+    if (e.code === 11000) {
+      return sendErrorResponse(res, 400, 'A tax rate already starts on this date');
+    }
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+/**
+ * DELETE /api/tax-rates/:id
+ * Permission: admin
+ * Description: Delete a PPN rate
+ */
+router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    await deleteTaxRate(req.params.id);
+    return sendSuccessResponse(res, 200, 'Tax rate deleted');
+  } catch (e) {
+    return sendErrorResponse(res, 400, e.message);
+  }
+});
+
+module.exports = router;
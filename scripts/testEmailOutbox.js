@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { sendTestEmail } = require('../utils/emailUtils');
+const { getOutboxEmail } = require('../utils/emailOutboxHelper');
+
+// Load environment variables
+dotenv.config();
+
+// Send a test email through the email outbox and print its delivery log.
+// Point SMTP_HOST/SMTP_PORT at a local SMTP stand-in (e.g. Mailpit on 1025) to test without a real mailbox.
+// Usage: node scripts/testEmailOutbox.js recipient@example.com
+const testEmailOutbox = async () => {
+  const to = process.argv[2];
+  if (!to) {
+    console.log('Usage: node scripts/testEmailOutbox.js recipient@example.com');
+    return;
+  }
+
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB successfully');
+
+    const result = await sendTestEmail(to, 'Email outbox test', 'This email was delivered through the email outbox.');
+    if (!result.outboxId) {
+      console.log('❌ Email could not be queued:', result.error);
+      return;
+    }
+
+    const email = await getOutboxEmail(result.outboxId);
+    console.log(`📤 Outbox email ${email._id}: ${email.status} after ${email.attempts} attempt(s)`);
+    email.deliveryLog.forEach(entry => {
+      console.log(`   #${entry.attempt} ${entry.status} ${entry.response || entry.error || ''}`);
+    });
+    if (email.status === 'queued') {
+      console.log(`   Next attempt at ${email.nextAttemptAt.toISOString()} (run by the emailOutbox job)`);
+    }
+  } catch (error) {
+    console.error('❌ Error testing email outbox:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+testEmailOutbox();
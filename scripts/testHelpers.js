@@ -0,0 +1,242 @@
+const assert = require('assert');
+
+// The checks below expect the default rounding (to the unit, nearest)
+delete process.env.PRICE_ROUNDING_UNIT;
+delete process.env.PRICE_ROUNDING_MODE;
+
+const {
+  validateNumberingFormat,
+  getPeriodKey,
+  getTemplateTokens,
+  renderTemplate,
+  buildNumberPattern,
+  findHighestSequence
+} = require('../utils/numberingHelper');
+const { calculateTax, calculateOfferTax } = require('../utils/taxHelper');
+const { roundPrice, calculateLineTotals, calculateOfferTotals } = require('../utils/pricingHelper');
+const { normalizeCustomerName, normalizeTaxId } = require('../utils/customerHelper');
+const { monthKeysBetween, summarizeFunnel, emptyForecast, addForecast } = require('../utils/analyticsHelper');
+
+// Check the calculation helpers that need no database.
+// Usage: node scripts/testHelpers.js (also run by npm test)
+let failed = 0;
+
+const check = (name, fn) => {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`  ❌ ${name}: ${error.message}`);
+  }
+};
+
+console.log('\n🔍 Document numbering');
+
+check('monthly reset needs a month and a year token', () => {
+  assert.throws(() => validateNumberingFormat('quotation', { template: '{prefix}/{seq}', resetPeriod: 'monthly' }), /\{month\}/);
+  assert.throws(() => validateNumberingFormat('quotation', { template: '{seq}/{romanMonth}', resetPeriod: 'monthly' }), /\{year\}/);
+  validateNumberingFormat('quotation', { template: '{seq}/{prefix}/{romanMonth}/{year}', resetPeriod: 'monthly' });
+  validateNumberingFormat('rfq', { template: '{seq}-{month}{yy}', resetPeriod: 'monthly' });
+});
+
+check('yearly reset needs a year token', () => {
+  assert.throws(() => validateNumberingFormat('rfq', { template: '{seq}/{month}', resetPeriod: 'yearly' }), /\{year\}/);
+  validateNumberingFormat('rfq', { template: '{prefix}/{yy}/{seq}', resetPeriod: 'yearly' });
+  validateNumberingFormat('rfq', { template: '{prefix}/{seq}', resetPeriod: 'never' });
+});
+
+check('offer templates need {parent}', () => {
+  assert.throws(() => validateNumberingFormat('offer', { template: 'OF-{seq}', resetPeriod: 'never' }), /\{parent\}/);
+  validateNumberingFormat('offer_revision', { template: '{parent}-Rev{seq}', resetPeriod: 'never' });
+});
+
+check('period keys', () => {
+  const date = new Date(2025, 2, 15);
+  assert.strictEqual(getPeriodKey('monthly', date), '2025-03');
+  assert.strictEqual(getPeriodKey('yearly', date), '2025');
+  assert.strictEqual(getPeriodKey('never', date), 'all');
+});
+
+check('template rendering with padding and tokens', () => {
+  const format = { template: '{seq}/{prefix}/{romanMonth}/{year}-{month}-{yy}', prefix: 'QUO/STM', padding: 3 };
+  const tokens = getTemplateTokens(format, new Date(2025, 10, 3));
+  assert.strictEqual(renderTemplate(format, tokens, 7), '007/QUO/STM/XI/2025-11-25');
+  assert.strictEqual(renderTemplate({ template: '{parent}-Rev{seq}' }, getTemplateTokens({}, new Date(), 'Q-1'), 2), 'Q-1-Rev2');
+});
+
+check('highest sequence only counts numbers of the same format and period', () => {
+  const format = { template: '{seq}/{prefix}/{romanMonth}/{year}', prefix: 'QUO/STM', padding: 0 };
+  const pattern = buildNumberPattern(format, getTemplateTokens(format, new Date(2025, 0, 10)));
+  const numbers = ['3/QUO/STM/I/2025', '12/QUO/STM/I/2025', '40/QUO/STM/II/2025', '99/RFQ/STM/I/2025', null];
+  assert.strictEqual(findHighestSequence(numbers, pattern), 12);
+});
+
+console.log('\n🔍 PPN');
+
+check('amount that includes PPN is split into DPP and PPN', () => {
+  assert.deepStrictEqual(calculateTax(111000, 11, false), { dpp: 100000, ppnAmount: 11000, grandTotal: 111000 });
+});
+
+check('PPN is added on top when the amount excludes it', () => {
+  assert.deepStrictEqual(calculateTax(100000, 11, true), { dpp: 100000, ppnAmount: 11000, grandTotal: 111000 });
+});
+
+check('offer tax: item-level exclusion and discounts reducing the base', () => {
+  const tax = calculateOfferTax([
+    { _id: 'a', amount: 111000 },
+    { _id: 'b', amount: 100000, excludePPN: true },
+    { _id: 'c', amount: -11100 }
+  ], { rate: 11, excludePPN: false });
+  assert.strictEqual(tax.ppnRate, 11);
+  assert.strictEqual(tax.totalDPP, 190000);
+  assert.strictEqual(tax.totalPPN, 20900);
+  assert.strictEqual(tax.grandTotal, 210900);
+});
+
+check('offer totals never go below zero', () => {
+  const tax = calculateOfferTax([{ _id: 'a', amount: -5000 }], { rate: 11, excludePPN: true });
+  assert.deepStrictEqual([tax.totalDPP, tax.totalPPN, tax.grandTotal], [0, 0, 0]);
+});
+
+console.log('\n🔍 Pricing');
+
+check('percentage and flat discounts', () => {
+  assert.deepStrictEqual(
+    calculateLineTotals({ price: 100, quantity: 2, discountType: 'percentage', discountValue: 10 }),
+    { netto: 90, lineTotal: 200, lineDiscount: 20, lineNetto: 180 }
+  );
+  assert.deepStrictEqual(
+    calculateLineTotals({ price: 100, quantity: 3, discountType: 'flat', discountValue: 25 }),
+    { netto: 75, lineTotal: 300, lineDiscount: 75, lineNetto: 225 }
+  );
+});
+
+check('removing a discount recalculates netto from the price', () => {
+  const item = { price: 100, quantity: 2, discountType: 'percentage', discountValue: 0, netto: 90 };
+  assert.deepStrictEqual(calculateLineTotals(item), { netto: 100, lineTotal: 200, lineDiscount: 0, lineNetto: 200 });
+  assert.deepStrictEqual(
+    calculateLineTotals({ ...item, price: 200 }),
+    { netto: 200, lineTotal: 400, lineDiscount: 0, lineNetto: 400 }
+  );
+});
+
+check('a netto set by hand is kept only when asked', () => {
+  const item = { price: 100, quantity: 2, discountValue: 0, netto: 80 };
+  assert.deepStrictEqual(calculateLineTotals(item, { keepNetto: true }), { netto: 80, lineTotal: 200, lineDiscount: 40, lineNetto: 160 });
+  assert.strictEqual(calculateLineTotals({ ...item, discountValue: 10 }, { keepNetto: true }).netto, 90);
+});
+
+check('quantity 0 is not billed as 1, a missing quantity is', () => {
+  assert.strictEqual(calculateLineTotals({ price: 100, quantity: 0 }).lineNetto, 0);
+  assert.strictEqual(calculateLineTotals({ price: 100 }).lineNetto, 100);
+});
+
+check('netto never goes below zero and prices round to the unit', () => {
+  assert.strictEqual(calculateLineTotals({ price: 50, discountType: 'flat', discountValue: 80 }).netto, 0);
+  assert.strictEqual(roundPrice(0.1 + 0.2), 0);
+  assert.strictEqual(roundPrice(10.5), 11);
+});
+
+check('offer totals with charges and a lump-sum discount', () => {
+  const totals = calculateOfferTotals(
+    [{ lineTotal: 200, lineNetto: 180 }, { lineTotal: 300, lineNetto: 300 }],
+    [{ type: 'delivery', amount: 50 }, { type: 'discount', amount: 30 }]
+  );
+  assert.deepStrictEqual(totals, {
+    totalPrice: 500,
+    itemsNetto: 480,
+    totalCharges: 50,
+    totalAdditionalDiscount: 30,
+    totalDiscount: 50,
+    totalNetto: 500
+  });
+});
+
+console.log('\n🔍 Customer names');
+
+check('legal forms, punctuation and case are ignored', () => {
+  assert.strictEqual(normalizeCustomerName('PT. Sinar Jaya Tbk'), 'SINAR JAYA');
+  assert.strictEqual(normalizeCustomerName('pt sinar-jaya'), 'SINAR JAYA');
+  assert.strictEqual(normalizeCustomerName('CV Maju & Sons'), 'MAJU & SONS');
+});
+
+check('a name made of legal forms only is kept', () => {
+  assert.strictEqual(normalizeCustomerName('PT. Persero'), 'PT PERSERO');
+  assert.strictEqual(normalizeCustomerName(null), '');
+});
+
+check('NPWP keeps only its digits', () => {
+  assert.strictEqual(normalizeTaxId('01.234.567.8-901.000'), '012345678901000');
+  assert.strictEqual(normalizeTaxId(undefined), '');
+});
+
+console.log('\n🔍 Sales funnel');
+
+check('counts, conversion rates and median durations', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const summary = summarizeFunnel({
+    submitted: 8,
+    bid: 6,
+    noBid: 2,
+    quotationCreated: 3,
+    won: 1,
+    submittedToBid: [3 * day, day, 2 * day],
+    bidToQuotation: [day, 2 * day],
+    quotationToWon: [5 * day],
+    submittedToWon: []
+  });
+  assert.deepStrictEqual(summary.counts, { submitted: 8, bid: 6, quotationCreated: 3, won: 1 });
+  assert.strictEqual(summary.noBid, 2);
+  assert.deepStrictEqual(summary.conversion, { submittedToBid: 75, bidToQuotation: 50, quotationToWon: 33, submittedToWon: 13 });
+  assert.deepStrictEqual(summary.medianDurationMs, {
+    submittedToBid: 2 * day,
+    bidToQuotation: Math.round(1.5 * day),
+    quotationToWon: 5 * day,
+    submittedToWon: null
+  });
+});
+
+check('empty stages give 0% instead of dividing by zero', () => {
+  const summary = summarizeFunnel({
+    submitted: 2, bid: 0, noBid: 2, quotationCreated: 0, won: 0,
+    submittedToBid: [], bidToQuotation: [], quotationToWon: [], submittedToWon: []
+  });
+  assert.deepStrictEqual(summary.conversion, { submittedToBid: 0, bidToQuotation: 0, quotationToWon: 0, submittedToWon: 0 });
+});
+
+console.log('\n🔍 Weighted forecast');
+
+check('forecast groups add up and accuracy compares won value with decided forecast', () => {
+  const totals = emptyForecast();
+  addForecast(totals, {
+    quotations: 2, pipelineValue: 1000, weightedPipelineValue: 500, forecastValue: 900, decidedForecastValue: 400, wonValue: 300
+  });
+  addForecast(totals, {
+    quotations: 1, pipelineValue: 0, weightedPipelineValue: 0, forecastValue: 100, decidedForecastValue: 100, wonValue: 0
+  });
+  assert.deepStrictEqual(totals, {
+    quotations: 3,
+    pipelineValue: 1000,
+    weightedPipelineValue: 500,
+    forecastValue: 1000,
+    decidedForecastValue: 500,
+    wonValue: 300,
+    accuracy: 60
+  });
+});
+
+check('accuracy is empty until a quotation is decided', () => {
+  const totals = addForecast(emptyForecast(), {
+    quotations: 1, pipelineValue: 100, weightedPipelineValue: 50, forecastValue: 50, decidedForecastValue: 0, wonValue: 0
+  });
+  assert.strictEqual(totals.accuracy, null);
+});
+
+check('month keys cover the period across a year end', () => {
+  assert.deepStrictEqual(monthKeysBetween('2024-11', '2025-02'), ['2024-11', '2024-12', '2025-01', '2025-02']);
+  assert.deepStrictEqual(monthKeysBetween('2025-03', '2025-02'), []);
+});
+
+console.log(failed > 0 ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+process.exitCode = failed > 0 ? 1 : 0;
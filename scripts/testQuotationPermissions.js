@@ -37,6 +37,7 @@ const testQuotationPermissions = async () => {
       'quotation_create', 
       'quotation_edit',
       'quotation_delete',
+      'quotation_approve',
       'approve_rfq',
       'quotation_requester',
       'all_quotation_viewer',
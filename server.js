@@ -72,6 +72,11 @@ const connectDB = async () => {
 // Connect to database
 connectDB();
 
+// Start background jobs once the database is available
+mongoose.connection.once('open', () => {
+  require('./jobs').startJobs();
+});
+
 // =============================================================================
 // API ROUTES REGISTRATION
 // =============================================================================
@@ -87,6 +92,14 @@ app.use('/api/permissions', require('./routes/permissions'));     // Permission
 app.use('/api/permission-categories', require("./routes/permissionCategories")); // Permission Categories
 app.use('/api/notifications', require('./routes/notifications')); // Notification System
 app.use('/api/rfq', require('./routes/rfq'));                     // Request for Quotation
+app.use('/api/numbering-formats', require('./routes/numberingFormats')); // Document Numbering Formats
+app.use('/api/tax-rates', require('./routes/taxRates'));         // PPN Tax Rates
+app.use('/api/exchange-rates', require('./routes/exchangeRates')); // Currency Exchange Rates
+app.use('/api/settings', require('./routes/settings'));          // Company Settings
+app.use('/api/jobs', require('./routes/jobs'));                  // Background Jobs
+app.use('/api/customers', require('./routes/customers'));        // Customer Master Data
+app.use('/api/status-reasons', require('./routes/statusReasons')); // Loss/Close Reason Catalog
+app.use('/api/email-outbox', require('./routes/emailOutbox'));    // Email Outbox
 
 // =============================================================================
 // HEALTH CHECK ENDPOINT
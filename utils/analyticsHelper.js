@@ -0,0 +1,426 @@
+const QuotationHeader = require('../models/quotationHeader.model');
+const QuotationOffer = require('../models/quotationOffer.model');
+const OfferItem = require('../models/offerItem.model');
+const { RFQ } = require('../models/rfq.model');
+const User = require('../models/user.model');
+const { ACTIVE_STATUSES, FINAL_STATUSES } = require('./quotationStatusHelper');
+const { BASE_CURRENCY } = require('./currencyHelper');
+
+// Timezone used to bucket quotations into months
+const REPORTING_TIMEZONE = process.env.REPORTING_TIMEZONE || 'Asia/Jakarta';
+
+// Date filter on a field for an analysis period (dates as YYYY-MM-DD, end date inclusive)
+const buildDateFilter = (field, startDate, endDate) => {
+  const filter = {};
+  if (startDate || endDate) {
+    filter[field] = {};
+    if (startDate) {
+      filter[field].$gte = new Date(startDate);
+    }
+    if (endDate) {
+      filter[field].$lte = new Date(endDate + 'T23:59:59.999Z');
+    }
+  }
+  return filter;
+};
+
+// createdAt filter for an analysis period
+const buildCreatedAtFilter = (startDate, endDate) => buildDateFilter('createdAt', startDate, endDate);
+
+/**
+ * Aggregation stages that add the value of each quotation header, in the base currency:
+ * - statusType: status, defaulting to open
+ * - valueOffer: the selected offer, otherwise the latest offer
+ * - quotedValue: grand total of the value offer
+ * - wonValue: for won quotations, the grand total of the accepted items (selectedOfferItemIds)
+ *   converted with the offer's exchange rate; the whole offer when no items were selected
+ * The lookups join on indexed fields (quotationHeaderId, _id) so they stay fast on large collections.
+ */
+const quotationValueStages = () => [
+  {
+    $lookup: {
+      from: QuotationOffer.collection.name,
+      localField: '_id',
+      foreignField: 'quotationHeaderId',
+      as: 'offers'
+    }
+  },
+  {
+    $set: {
+      statusType: { $ifNull: ['$status.type', 'open'] },
+      valueOffer: {
+        $ifNull: [
+          { $arrayElemAt: [{ $filter: { input: '$offers', cond: { $eq: ['$$this._id', '$selectedOfferId'] } } }, 0] },
+          {
+            $reduce: {
+              input: '$offers',
+              initialValue: null,
+              in: {
+                $cond: [
+                  { $or: [{ $eq: ['$$value', null] }, { $gte: ['$$this.createdAt', '$$value.createdAt'] }] },
+                  '$$this',
+                  '$$value'
+                ]
+              }
+            }
+          }
+        ]
+      }
+    }
+  },
+  {
+    $lookup: {
+      from: OfferItem.collection.name,
+      localField: 'selectedOfferItemIds',
+      foreignField: '_id',
+      as: 'acceptedItems'
+    }
+  },
+  {
+    $set: {
+      quotedValue: { $ifNull: ['$valueOffer.baseTotals.grandTotal', 0] },
+      acceptedValue: {
+        $round: [{ $multiply: [{ $sum: '$acceptedItems.grandTotal' }, { $ifNull: ['$valueOffer.exchangeRate', 1] }] }, 2]
+      }
+    }
+  },
+  {
+    $set: {
+      wonValue: {
+        $cond: [
+          { $ne: ['$statusType', 'win'] },
+          0,
+          { $cond: [{ $gt: [{ $size: '$acceptedItems' }, 0] }, '$acceptedValue', '$quotedValue'] }
+        ]
+      },
+      valueOffer: {
+        _id: '$valueOffer._id',
+        offerNumber: '$valueOffer.offerNumber',
+        baseTotals: '$valueOffer.baseTotals'
+      }
+    }
+  },
+  { $unset: ['offers', 'acceptedItems', 'acceptedValue'] }
+];
+
+// Month key (YYYY-MM) of a date in the reporting timezone
+const toMonthKey = (date) => {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone: REPORTING_TIMEZONE, year: 'numeric', month: '2-digit' })
+    .formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}`;
+};
+
+// Month keys from one key to another, inclusive
+const monthKeysBetween = (fromKey, toKey) => {
+  const keys = [];
+  let [year, month] = fromKey.split('-').map(Number);
+  const [endYear, endMonth] = toKey.split('-').map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    keys.push(`${year}-${String(month).padStart(2, '0')}`);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return keys;
+};
+
+// Display label of a month key, e.g. "Jan 2025"
+const formatMonthKey = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1))
+    .toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+// Funnel stages in order
+const FUNNEL_STAGES = ['submitted', 'bid', 'quotationCreated', 'won'];
+
+// Stage-to-stage durations reported by the funnel
+const FUNNEL_DURATIONS = {
+  submittedToBid: ['submittedAt', 'bidAt'],
+  bidToQuotation: ['bidAt', 'quotationCreatedAt'],
+  quotationToWon: ['quotationCreatedAt', 'wonAt'],
+  submittedToWon: ['submittedAt', 'wonAt']
+};
+
+// Median of a list of numbers (null when empty)
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? Math.round((sorted[middle - 1] + sorted[middle]) / 2) : sorted[middle];
+};
+
+// Group stage counting funnel stages and collecting durations for one breakdown key
+const funnelGroupStage = (key) => ({
+  $group: {
+    _id: key,
+    submitted: { $sum: 1 },
+    bid: { $sum: { $cond: ['$bidAt', 1, 0] } },
+    noBid: { $sum: { $cond: [{ $eq: ['$approvalDecision', 'no_bid'] }, 1, 0] } },
+    quotationCreated: { $sum: { $cond: ['$quotationCreatedAt', 1, 0] } },
+    won: { $sum: { $cond: ['$wonAt', 1, 0] } },
+    ...Object.fromEntries(Object.entries(FUNNEL_DURATIONS).map(([name, [from, to]]) => [
+      name,
+      { $push: { $cond: [{ $and: [`$${from}`, `$${to}`] }, { $subtract: [`$${to}`, `$${from}`] }, '$$REMOVE'] } }
+    ]))
+  }
+});
+
+// Turn a funnel group into counts, conversion rates (percent) and median durations (ms)
+const summarizeFunnel = (group) => {
+  const rate = (count, base) => base > 0 ? Math.round((count / base) * 100) : 0;
+  return {
+    counts: Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, group[stage]])),
+    noBid: group.noBid,
+    conversion: {
+      submittedToBid: rate(group.bid, group.submitted),
+      bidToQuotation: rate(group.quotationCreated, group.bid),
+      quotationToWon: rate(group.won, group.quotationCreated),
+      submittedToWon: rate(group.won, group.submitted)
+    },
+    medianDurationMs: Object.fromEntries(Object.keys(FUNNEL_DURATIONS).map(name => [name, median(group[name])]))
+  };
+};
+
+/**
+ * RFQ-to-win sales funnel: RFQs submitted → bid → quotation created → won, for RFQs submitted in the period.
+ * Returns counts, conversion rates between stages and median durations between stages,
+ * overall and broken down by requester, approver and quotation creator.
+ * @param {Object} params - { startDate, endDate } as YYYY-MM-DD
+ */
+const getSalesFunnel = async ({ startDate, endDate } = {}) => {
+  const breakdowns = {
+    byRequester: '$requesterId',
+    byApprover: '$approverId',
+    byQuotationCreator: '$quotationCreatorId'
+  };
+
+  // Same submission date as projected below: submittedAt, or createdAt for RFQs without one
+  const submittedFilter = buildDateFilter('submittedAt', startDate, endDate);
+  const match = submittedFilter.submittedAt
+    ? {
+      $or: [
+        submittedFilter,
+        { submittedAt: null, ...buildCreatedAtFilter(startDate, endDate) }
+      ]
+    }
+    : {};
+
+  const [facets] = await RFQ.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: QuotationHeader.collection.name,
+        localField: 'quotationId',
+        foreignField: '_id',
+        as: 'quotation'
+      }
+    },
+    { $set: { quotation: { $arrayElemAt: ['$quotation', 0] } } },
+    {
+      $project: {
+        requesterId: 1,
+        approverId: 1,
+        quotationCreatorId: 1,
+        approvalDecision: 1,
+        submittedAt: { $ifNull: ['$submittedAt', '$createdAt'] },
+        // Approving an RFQ is the bid decision
+        bidAt: '$approvedAt',
+        quotationCreatedAt: { $ifNull: ['$quotationCreatedAt', '$quotation.createdAt'] },
+        wonAt: {
+          $cond: [
+            { $eq: ['$quotation.status.type', 'win'] },
+            { $ifNull: ['$quotation.status.changedAt', '$quotation.updatedAt'] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        overall: [funnelGroupStage(null)],
+        ...Object.fromEntries(Object.entries(breakdowns).map(([name, key]) => [name, [funnelGroupStage(key)]]))
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const userIds = new Set();
+  Object.keys(breakdowns).forEach(name => facets[name].forEach(group => group._id && userIds.add(group._id.toString())));
+  const users = await User.find({ _id: { $in: [...userIds] } }).select('fullName email').lean();
+  const userById = Object.fromEntries(users.map(user => [user._id.toString(), user]));
+
+  const describeBreakdown = (groups) => groups
+    .map(group => ({
+      user: group._id ? {
+        _id: group._id,
+        fullName: userById[group._id.toString()]?.fullName || null,
+        email: userById[group._id.toString()]?.email || null
+      } : null,
+      ...summarizeFunnel(group)
+    }))
+    .sort((a, b) => b.counts.submitted - a.counts.submitted);
+
+  // No RFQs in the period: every stage is empty
+  const overall = facets.overall[0] || {
+    ...Object.fromEntries([...FUNNEL_STAGES, 'noBid'].map(stage => [stage, 0])),
+    ...Object.fromEntries(Object.keys(FUNNEL_DURATIONS).map(name => [name, []]))
+  };
+  return {
+    period: { startDate: startDate || null, endDate: endDate || null },
+    stages: FUNNEL_STAGES,
+    ...summarizeFunnel(overall),
+    byRequester: describeBreakdown(facets.byRequester),
+    byApprover: describeBreakdown(facets.byApprover),
+    byQuotationCreator: describeBreakdown(facets.byQuotationCreator)
+  };
+};
+
+// Bucket for quotations whose RFQ has no expected delivery date
+const UNSCHEDULED_MONTH = 'unscheduled';
+
+// Empty forecast totals
+const emptyForecast = () => ({
+  quotations: 0,
+  pipelineValue: 0,
+  weightedPipelineValue: 0,
+  forecastValue: 0,
+  decidedForecastValue: 0,
+  wonValue: 0,
+  accuracy: null
+});
+
+// Add a forecast group to totals
+const addForecast = (totals, group) => {
+  ['quotations', 'pipelineValue', 'weightedPipelineValue', 'forecastValue', 'decidedForecastValue', 'wonValue'].forEach(field => {
+    totals[field] += group[field];
+  });
+  // Won value as a percentage of what was forecast for the quotations already decided
+  totals.accuracy = totals.decidedForecastValue > 0
+    ? Math.round((totals.wonValue / totals.decidedForecastValue) * 100)
+    : null;
+  return totals;
+};
+
+/**
+ * Weighted forecast of quotations created from RFQs. Each quotation's value is weighted with the
+ * confidence rate of its RFQ and bucketed by the RFQ's expected delivery month.
+ * Per month and per marketing person it returns:
+ * - pipelineValue / weightedPipelineValue: open quotations, unweighted and weighted
+ * - forecastValue: weighted value of all quotations, whatever their outcome
+ * - wonValue and accuracy: won value against the forecast of quotations already won, lost or closed
+ * @param {Object} params - { startDate, endDate } as YYYY-MM-DD, on the expected delivery date
+ */
+const getWeightedForecast = async ({ startDate, endDate } = {}) => {
+  const groups = await RFQ.aggregate([
+    { $match: { quotationId: { $exists: true, $ne: null }, ...buildDateFilter('expectedDeliveryDate', startDate, endDate) } },
+    { $project: { quotationId: 1, confidenceRate: 1, expectedDeliveryDate: 1 } },
+    {
+      $lookup: {
+        from: QuotationHeader.collection.name,
+        localField: 'quotationId',
+        foreignField: '_id',
+        as: 'quotation'
+      }
+    },
+    { $unwind: '$quotation' },
+    {
+      $replaceRoot: {
+        newRoot: {
+          _id: '$quotation._id',
+          marketingName: '$quotation.marketingName',
+          status: '$quotation.status',
+          selectedOfferId: '$quotation.selectedOfferId',
+          selectedOfferItemIds: '$quotation.selectedOfferItemIds',
+          confidence: { $divide: [{ $ifNull: ['$confidenceRate', 0] }, 100] },
+          month: {
+            $cond: [
+              '$expectedDeliveryDate',
+              { $dateToString: { format: '%Y-%m', date: '$expectedDeliveryDate', timezone: REPORTING_TIMEZONE } },
+              UNSCHEDULED_MONTH
+            ]
+          }
+        }
+      }
+    },
+    ...quotationValueStages(),
+    {
+      $set: {
+        isActive: { $in: ['$statusType', ACTIVE_STATUSES] },
+        isDecided: { $in: ['$statusType', FINAL_STATUSES] },
+        weightedValue: { $round: [{ $multiply: ['$quotedValue', '$confidence'] }, 2] }
+      }
+    },
+    {
+      $group: {
+        _id: { month: '$month', marketingName: '$marketingName' },
+        quotations: { $sum: 1 },
+        pipelineValue: { $sum: { $cond: ['$isActive', '$quotedValue', 0] } },
+        weightedPipelineValue: { $sum: { $cond: ['$isActive', '$weightedValue', 0] } },
+        forecastValue: { $sum: '$weightedValue' },
+        decidedForecastValue: { $sum: { $cond: ['$isDecided', '$weightedValue', 0] } },
+        wonValue: { $sum: '$wonValue' }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const totals = emptyForecast();
+  const monthTotals = {};
+  const marketing = {};
+  groups.forEach(group => {
+    const { month } = group._id;
+    const marketingName = group._id.marketingName || 'Unknown';
+    addForecast(totals, group);
+    monthTotals[month] = addForecast(monthTotals[month] || emptyForecast(), group);
+    if (!marketing[marketingName]) {
+      marketing[marketingName] = { totals: emptyForecast(), months: {} };
+    }
+    addForecast(marketing[marketingName].totals, group);
+    marketing[marketingName].months[month] = addForecast(marketing[marketingName].months[month] || emptyForecast(), group);
+  });
+
+  // Every month of the period, or from the first to the last expected delivery month
+  const scheduledKeys = Object.keys(monthTotals).filter(key => key !== UNSCHEDULED_MONTH).sort();
+  const firstKey = startDate ? toMonthKey(new Date(startDate)) : scheduledKeys[0];
+  const lastKey = endDate ? toMonthKey(new Date(endDate + 'T00:00:00.000Z')) : scheduledKeys[scheduledKeys.length - 1];
+  const monthKeys = firstKey && lastKey ? monthKeysBetween(firstKey, lastKey) : [];
+  const describeMonths = (months) => monthKeys.map(key => ({
+    monthKey: key,
+    month: formatMonthKey(key),
+    ...(months[key] || emptyForecast())
+  }));
+
+  return {
+    currency: BASE_CURRENCY,
+    period: { startDate: startDate || null, endDate: endDate || null },
+    totals,
+    byMonth: describeMonths(monthTotals),
+    unscheduled: monthTotals[UNSCHEDULED_MONTH] || emptyForecast(),
+    byMarketing: Object.entries(marketing)
+      .map(([marketingName, data]) => ({
+        marketingName,
+        ...data.totals,
+        byMonth: describeMonths(data.months),
+        unscheduled: data.months[UNSCHEDULED_MONTH] || emptyForecast()
+      }))
+      .sort((a, b) => b.forecastValue - a.forecastValue)
+  };
+};
+
+module.exports = {
+  REPORTING_TIMEZONE,
+  FUNNEL_STAGES,
+  buildDateFilter,
+  buildCreatedAtFilter,
+  quotationValueStages,
+  toMonthKey,
+  monthKeysBetween,
+  formatMonthKey,
+  summarizeFunnel,
+  getSalesFunnel,
+  emptyForecast,
+  addForecast,
+  getWeightedForecast
+};
@@ -0,0 +1,43 @@
+const { getSetting } = require('./settingsHelper');
+const { BASE_CURRENCY } = require('./currencyHelper');
+
+const APPROVAL_STATUSES = ['not_required', 'required', 'pending', 'approved', 'rejected'];
+
+// Statuses in which an offer may be exported or sent to the customer
+const SENDABLE_STATUSES = ['not_required', 'approved'];
+
+/**
+ * Check whether an offer's discount exceeds the approval thresholds
+ * @param {Object} offer - Offer with calculated totals ({ totalPrice, totalDiscount, baseTotals })
+ * @returns {Promise<{required: boolean, reasons: string[], discountPercent: number}>}
+ */
+const evaluateApprovalRequirement = async (offer) => {
+  const percentThreshold = await getSetting('approvalDiscountPercentThreshold');
+  const amountThreshold = await getSetting('approvalDiscountAmountThreshold');
+
+  const totalPrice = offer.totalPrice || 0;
+  const discountPercent = totalPrice > 0 ? ((offer.totalDiscount || 0) / totalPrice) * 100 : 0;
+  const discountAmount = offer.baseTotals?.totalDiscount ?? offer.totalDiscount ?? 0;
+
+  const reasons = [];
+  if (percentThreshold > 0 && discountPercent > percentThreshold) {
+    reasons.push(`Discount ${discountPercent.toFixed(2)}% exceeds ${percentThreshold}%`);
+  }
+  if (amountThreshold > 0 && discountAmount > amountThreshold) {
+    reasons.push(`Discount ${discountAmount} ${BASE_CURRENCY} exceeds ${amountThreshold} ${BASE_CURRENCY}`);
+  }
+
+  return { required: reasons.length > 0, reasons, discountPercent: Math.round(discountPercent * 100) / 100 };
+};
+
+// Whether an offer may be exported or sent to the customer
+const isOfferSendable = (offer) => {
+  const status = offer.approval?.status || 'not_required';
+  return SENDABLE_STATUSES.includes(status);
+};
+
+module.exports = {
+  APPROVAL_STATUSES,
+  evaluateApprovalRequirement,
+  isOfferSendable
+};
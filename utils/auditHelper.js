@@ -0,0 +1,139 @@
+const AuditLog = require('../models/auditLog.model');
+const { emitEntityChange, quotationTopic } = require('./entityEvents');
+
+// Fields that change on every save and carry no business meaning
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'id'];
+
+// Convert a mongoose document (or plain object) into JSON-safe plain data
+const toPlainSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Flatten nested objects into dotted paths; arrays are compared as a whole
+const flattenSnapshot = (value, prefix = '', result = {}) => {
+  Object.keys(value || {}).forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    const fieldValue = value[key];
+    if (fieldValue && typeof fieldValue === 'object' && !Array.isArray(fieldValue)) {
+      flattenSnapshot(fieldValue, path, result);
+    } else {
+      result[path] = fieldValue;
+    }
+  });
+  return result;
+};
+
+/**
+ * Compute field level changes between two snapshots
+ * @param {Object|null} before - Entity before the mutation (null on create)
+ * @param {Object|null} after - Entity after the mutation (null on delete)
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffSnapshots = (before, after) => {
+  const beforeFields = flattenSnapshot(toPlainSnapshot(before) || {});
+  const afterFields = flattenSnapshot(toPlainSnapshot(after) || {});
+  const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  const changes = [];
+  fields.forEach(field => {
+    const beforeValue = beforeFields[field] === undefined ? null : beforeFields[field];
+    const afterValue = afterFields[field] === undefined ? null : afterFields[field];
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.push({ field, before: beforeValue, after: afterValue });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record a mutation in the audit log and publish it to subscribers of the quotation topic.
+ * Failures are logged and never break the caller.
+ * @param {Object} params
+ * @param {Object} params.header - Quotation header (document or { _id, quotationNumber })
+ * @param {string} params.entityType - QuotationHeader | QuotationOffer | OfferItem
+ * @param {Object} [params.before] - Entity before the mutation
+ * @param {Object} [params.after] - Entity after the mutation
+ * @param {string} [params.actorId] - User performing the change
+ * @param {string} [params.description] - Human readable summary
+ * @returns {Promise<Object|null>} Saved audit entry, or null when nothing changed
+ */
+const recordAudit = async ({ header, entityType, before = null, after = null, actorId = null, description = '' }) => {
+  try {
+    if (!header) return null;
+
+    const action = !before ? 'create' : (!after ? 'delete' : 'update');
+    const changes = diffSnapshots(before, after);
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    const entity = after || before;
+    emitEntityChange(quotationTopic(header.quotationNumber), {
+      entityType,
+      entityId: entity._id,
+      action,
+      description,
+      actorId,
+      changedFields: changes.map(change => change.field)
+    });
+
+    const entry = new AuditLog({
+      quotationHeaderId: header._id,
+      quotationNumber: header.quotationNumber,
+      entityType,
+      entityId: entity._id,
+      action,
+      description,
+      changes,
+      actorId: actorId || undefined
+    });
+    await entry.save();
+    return entry;
+  } catch (error) {
+    console.error('Error recording audit log:', error);
+    return null;
+  }
+};
+
+/**
+ * Get audit history of a quotation, newest first
+ * @param {string} quotationNumber - Quotation number
+ * @param {Object} [filters] - Optional entityType / entityId filters
+ * @param {Object} [pagination] - { page, limit }
+ */
+const getAuditHistory = async (quotationNumber, filters = {}, pagination = { page: 1, limit: 50 }) => {
+  const { page, limit } = pagination;
+  const query = { quotationNumber };
+  if (filters.entityType) query.entityType = filters.entityType;
+  if (filters.entityId) query.entityId = filters.entityId;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actorId', 'fullName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+module.exports = {
+  toPlainSnapshot,
+  diffSnapshots,
+  recordAudit,
+  getAuditHistory
+};
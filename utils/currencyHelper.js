@@ -0,0 +1,115 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+
+// Currency all amounts are converted to for reporting
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'IDR').toUpperCase();
+
+// Round a converted amount to 2 decimals
+const roundConverted = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Get the exchange rate of a currency to the base currency on a date
+ * @param {string} currency - ISO currency code
+ * @param {Date} [date] - Reference date (default: now)
+ * @returns {Promise<{currency: string, rate: number, effectiveDate: Date|null}>}
+ */
+const getExchangeRate = async (currency, date = new Date()) => {
+  const code = (currency || BASE_CURRENCY).toUpperCase();
+  if (code === BASE_CURRENCY) {
+    return { currency: code, rate: 1, effectiveDate: null };
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({
+    currency: code,
+    effectiveDate: { $lte: date }
+  }).sort({ effectiveDate: -1 }).lean();
+
+  if (!exchangeRate) {
+    throw new Error(`No exchange rate for ${code} on ${date.toISOString().split('T')[0]}`);
+  }
+
+  return { currency: code, rate: exchangeRate.rate, effectiveDate: exchangeRate.effectiveDate };
+};
+
+// Convert an amount with a rate to the base currency
+const convertToBase = (amount, rate) => roundConverted((Number(amount) || 0) * (Number(rate) || 0));
+
+/**
+ * Convert an amount between two currencies using the rates on a date
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} [to] - Target currency (default: base currency)
+ * @param {Date} [date] - Reference date (default: now)
+ */
+const convertAmount = async (amount, from, to = BASE_CURRENCY, date = new Date()) => {
+  const fromRate = await getExchangeRate(from, date);
+  const toRate = await getExchangeRate(to, date);
+  return {
+    amount: Number(amount) || 0,
+    from: fromRate.currency,
+    to: toRate.currency,
+    rate: fromRate.rate / toRate.rate,
+    converted: roundConverted((Number(amount) || 0) * fromRate.rate / toRate.rate)
+  };
+};
+
+// List rates, newest first
+const getExchangeRates = async (filters = {}) => {
+  const query = {};
+  if (filters.currency) query.currency = filters.currency.toUpperCase();
+  return await ExchangeRate.find(query)
+    .populate('createdBy', 'fullName email')
+    .sort({ currency: 1, effectiveDate: -1 });
+};
+
+// Create a rate
+const createExchangeRate = async ({ currency, rate, effectiveDate, source }, userId) => {
+  if (!currency || rate === undefined || !effectiveDate) {
+    throw new Error('Currency, rate and effectiveDate are required');
+  }
+  if (currency.toUpperCase() === BASE_CURRENCY) {
+    throw new Error(`${BASE_CURRENCY} is the base currency and always has a rate of 1`);
+  }
+
+  const exchangeRate = new ExchangeRate({
+    currency,
+    rate: Number(rate),
+    effectiveDate: new Date(effectiveDate),
+    source,
+    createdBy: userId
+  });
+  return await exchangeRate.save();
+};
+
+// Update a rate
+const updateExchangeRate = async (id, { rate, effectiveDate, source }) => {
+  const update = {};
+  if (rate !== undefined) update.rate = Number(rate);
+  if (effectiveDate !== undefined) update.effectiveDate = new Date(effectiveDate);
+  if (source !== undefined) update.source = source;
+
+  const exchangeRate = await ExchangeRate.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+  if (!exchangeRate) {
+    throw new Error('Exchange rate not found');
+  }
+  return exchangeRate;
+};
+
+// Delete a rate
+const deleteExchangeRate = async (id) => {
+  const exchangeRate = await ExchangeRate.findByIdAndDelete(id);
+  if (!exchangeRate) {
+    throw new Error('Exchange rate not found');
+  }
+  return exchangeRate;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getExchangeRate,
+  convertToBase,
+  convertAmount,
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+};
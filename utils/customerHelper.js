@@ -0,0 +1,323 @@
+const Customer = require('../models/customer.model');
+const QuotationHeader = require('../models/quotationHeader.model');
+const { RFQ } = require('../models/rfq.model');
+
+// Legal form words ignored when comparing names ("PT. ABC Tbk" matches "PT ABC")
+const LEGAL_FORMS = ['PT', 'CV', 'UD', 'FA', 'TBK', 'PERSERO', 'PERUM'];
+
+// Normalize a company name for search and duplicate detection
+const normalizeCustomerName = (name) => {
+  const words = String(name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9&]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const significant = words.filter(word => !LEGAL_FORMS.includes(word));
+  return (significant.length > 0 ? significant : words).join(' ');
+};
+
+// Keep only the digits of an NPWP
+const normalizeTaxId = (taxId) => String(taxId || '').replace(/\D/g, '');
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Recompute the normalized names of a customer
+const syncSearchNames = (customer) => {
+  const names = [customer.legalName, ...(customer.aliases || [])]
+    .map(normalizeCustomerName)
+    .filter(Boolean);
+  customer.searchNames = [...new Set(names)];
+};
+
+// Pick the editable fields of a customer
+const pickCustomerFields = (data) => {
+  const fields = {};
+  ['legalName', 'aliases', 'taxId', 'addresses', 'contacts', 'notes', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  if (fields.legalName) fields.legalName = fields.legalName.trim().toUpperCase();
+  if (fields.aliases) fields.aliases = fields.aliases.map(alias => alias.trim().toUpperCase()).filter(Boolean);
+  if (fields.taxId !== undefined) fields.taxId = normalizeTaxId(fields.taxId) || undefined;
+  return fields;
+};
+
+/**
+ * Find active customers that look like the same company (same normalized name, alias or NPWP)
+ * @param {Object} data - { legalName, aliases, taxId }
+ * @param {string} [excludeId] - Customer to ignore (the one being updated)
+ */
+const findDuplicateCustomers = async ({ legalName, aliases = [], taxId }, excludeId = null) => {
+  const names = [legalName, ...aliases].map(normalizeCustomerName).filter(Boolean);
+  const conditions = [];
+  if (names.length > 0) conditions.push({ searchNames: { $in: names } });
+  const digits = normalizeTaxId(taxId);
+  if (digits) conditions.push({ taxId: digits });
+  if (conditions.length === 0) return [];
+
+  const query = { isActive: true, $or: conditions };
+  if (excludeId) query._id = { $ne: excludeId };
+  return await Customer.find(query).select('legalName aliases taxId');
+};
+
+// List customers with optional search and pagination
+const getCustomers = async (filters = {}, pagination = { page: 1, limit: 20 }) => {
+  const { page, limit } = pagination;
+  const query = {};
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(normalizeCustomerName(filters.search) || filters.search.trim()), 'i');
+    const conditions = [{ searchNames: pattern }, { 'contacts.name': new RegExp(escapeRegex(filters.search.trim()), 'i') }];
+    const digits = normalizeTaxId(filters.search);
+    if (digits.length >= 3) conditions.push({ taxId: new RegExp(escapeRegex(digits)) });
+    query.$or = conditions;
+  }
+
+  const [customers, total] = await Promise.all([
+    Customer.find(query)
+      .sort({ legalName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Customer.countDocuments(query)
+  ]);
+
+  return {
+    customers,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+// Get a customer by id
+const getCustomerById = async (id) => {
+  const customer = await Customer.findById(id).populate('mergedInto', 'legalName');
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+  return customer;
+};
+
+// Create a customer
+const createCustomer = async (data, userId) => {
+  const fields = pickCustomerFields(data);
+  if (!fields.legalName) {
+    throw new Error('Legal name is required');
+  }
+
+  const customer = new Customer({ ...fields, createdBy: userId });
+  syncSearchNames(customer);
+  return await customer.save();
+};
+
+// Update a customer
+const updateCustomer = async (id, data) => {
+  const customer = await Customer.findById(id);
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  customer.set(pickCustomerFields(data));
+  syncSearchNames(customer);
+  return await customer.save();
+};
+
+// Delete a customer that is not referenced by any RFQ or quotation
+const deleteCustomer = async (id) => {
+  const [rfqCount, quotationCount] = await Promise.all([
+    RFQ.countDocuments({ customerId: id }),
+    QuotationHeader.countDocuments({ customerId: id })
+  ]);
+  if (rfqCount > 0 || quotationCount > 0) {
+    throw new Error(`Customer is used by ${rfqCount} RFQ(s) and ${quotationCount} quotation(s); merge or deactivate it instead`);
+  }
+
+  const customer = await Customer.findByIdAndDelete(id);
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+  return customer;
+};
+
+// Add a contact person to a customer unless a contact with that name exists
+const addContactIfMissing = (customer, contactPerson) => {
+  if (!contactPerson || !contactPerson.name) return false;
+  const name = contactPerson.name.trim().toLowerCase();
+  if (customer.contacts.some(contact => contact.name.trim().toLowerCase() === name)) return false;
+  customer.contacts.push({
+    name: contactPerson.name,
+    gender: contactPerson.gender || 'Other',
+    isPrimary: customer.contacts.length === 0
+  });
+  return true;
+};
+
+// Add a free-text name as alias when it differs from the legal name
+const addAliasIfMissing = (customer, name) => {
+  const alias = String(name || '').trim().toUpperCase();
+  if (!alias || alias === customer.legalName || customer.aliases.includes(alias)) return false;
+  customer.aliases.push(alias);
+  return true;
+};
+
+/**
+ * Resolve the customer of an RFQ or quotation.
+ * With customerId the customer is loaded; otherwise the free-text name is matched against
+ * existing customers and a new customer is created when nothing matches.
+ * @param {Object} data - { customerId, customerName, contactPerson }
+ * @param {string} [userId] - User creating the customer when needed
+ * @returns {Promise<{customerId, customerName, contactPerson}>}
+ */
+const resolveCustomer = async ({ customerId, customerName, contactPerson }, userId = null) => {
+  let customer;
+  if (customerId) {
+    customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    if (customer.mergedInto) {
+      customer = await Customer.findById(customer.mergedInto);
+    }
+    if (!customer || !customer.isActive) {
+      throw new Error('Customer is inactive');
+    }
+  } else {
+    if (!customerName) {
+      throw new Error('Customer is required');
+    }
+    const normalized = normalizeCustomerName(customerName);
+    customer = await Customer.findOne({ isActive: true, searchNames: normalized });
+    if (!customer) {
+      customer = new Customer({ legalName: customerName.trim().toUpperCase(), createdBy: userId || undefined });
+    }
+    addAliasIfMissing(customer, customerName);
+  }
+
+  // Contact falls back to the customer's primary contact
+  const contact = contactPerson && contactPerson.name
+    ? contactPerson
+    : (customer.contacts.find(c => c.isPrimary) || customer.contacts[0]);
+  if (!contact) {
+    throw new Error('Contact person is required');
+  }
+
+  const changed = addContactIfMissing(customer, contact);
+  if (customer.isNew || changed || customer.isModified('aliases')) {
+    syncSearchNames(customer);
+    await customer.save();
+  }
+
+  return {
+    customerId: customer._id,
+    customerName: customer.legalName,
+    contactPerson: { name: contact.name, gender: contact.gender }
+  };
+};
+
+/**
+ * Merge duplicate customers into one. Names, contacts and addresses of the sources are kept
+ * on the target, their RFQs and quotations are relinked and the sources are deactivated.
+ * @param {string} targetId - Customer that remains
+ * @param {string[]} sourceIds - Customers merged into the target
+ */
+const mergeCustomers = async (targetId, sourceIds = []) => {
+  const ids = sourceIds.map(id => id.toString()).filter(id => id !== targetId.toString());
+  if (ids.length === 0) {
+    throw new Error('At least one customer to merge is required');
+  }
+
+  const target = await Customer.findById(targetId);
+  if (!target) {
+    throw new Error('Target customer not found');
+  }
+  if (target.mergedInto || !target.isActive) {
+    throw new Error('Target customer is inactive or was merged into another customer');
+  }
+  const sources = await Customer.find({ _id: { $in: ids } });
+  if (sources.length !== ids.length) {
+    throw new Error('One or more customers to merge were not found');
+  }
+
+  for (const source of sources) {
+    [source.legalName, ...source.aliases].forEach(name => addAliasIfMissing(target, name));
+    source.contacts.forEach(contact => {
+      if (addContactIfMissing(target, contact)) {
+        const added = target.contacts[target.contacts.length - 1];
+        ['title', 'email', 'phone'].forEach(field => { added[field] = contact[field]; });
+      }
+    });
+    source.addresses.forEach(address => {
+      const plain = address.toObject();
+      delete plain._id;
+      target.addresses.push({ ...plain, isPrimary: target.addresses.length === 0 && plain.isPrimary });
+    });
+    if (!target.taxId && source.taxId) target.taxId = source.taxId;
+  }
+
+  // Sources release their NPWP before the target takes it over (unique index)
+  await Customer.updateMany({ _id: { $in: ids } }, {
+    $set: { isActive: false, mergedInto: target._id, searchNames: [] },
+    $unset: { taxId: '' }
+  });
+  // Customers merged into a source earlier now point at the target directly
+  await Customer.updateMany({ mergedInto: { $in: ids } }, { $set: { mergedInto: target._id } });
+  syncSearchNames(target);
+  await target.save();
+
+  const [rfqResult, quotationResult] = await Promise.all([
+    RFQ.updateMany({ customerId: { $in: ids } }, { $set: { customerId: target._id } }),
+    QuotationHeader.updateMany({ customerId: { $in: ids } }, { $set: { customerId: target._id } })
+  ]);
+
+  return {
+    customer: target,
+    mergedCustomers: ids.length,
+    rfqsRelinked: rfqResult.modifiedCount,
+    quotationsRelinked: quotationResult.modifiedCount
+  };
+};
+
+// Link existing RFQs and quotations without customerId to customers, creating customers as needed
+const migrateCustomerLinks = async (userId = null) => {
+  const result = { rfqsLinked: 0, quotationsLinked: 0, customersCreated: 0, failed: [] };
+  const customersBefore = await Customer.countDocuments();
+
+  const link = async (Model, label, counter) => {
+    const records = await Model.find({ customerId: { $exists: false } }).select('customerName contactPerson');
+    for (const record of records) {
+      try {
+        const { customerId } = await resolveCustomer({
+          customerName: record.customerName,
+          contactPerson: record.contactPerson
+        }, userId);
+        await Model.updateOne({ _id: record._id }, { $set: { customerId } });
+        result[counter] += 1;
+      } catch (error) {
+        result.failed.push({ type: label, id: record._id, customerName: record.customerName, error: error.message });
+      }
+    }
+  };
+
+  await link(RFQ, 'rfq', 'rfqsLinked');
+  await link(QuotationHeader, 'quotation', 'quotationsLinked');
+
+  result.customersCreated = (await Customer.countDocuments()) - customersBefore;
+  return result;
+};
+
+module.exports = {
+  normalizeCustomerName,
+  normalizeTaxId,
+  findDuplicateCustomers,
+  getCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  resolveCustomer,
+  mergeCustomers,
+  migrateCustomerLinks
+};
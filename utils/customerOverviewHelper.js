@@ -0,0 +1,169 @@
+const Customer = require('../models/customer.model');
+const QuotationHeader = require('../models/quotationHeader.model');
+const { RFQ } = require('../models/rfq.model');
+const { normalizeCustomerName } = require('./customerHelper');
+const { getValueOffersByHeader, getFollowUpStatus } = require('./quotationHelper');
+const { BASE_CURRENCY } = require('./currencyHelper');
+const { UNCATEGORIZED_CODE } = require('./statusReasonHelper');
+
+// Records linked to the customer (or to customers merged into it), newest first.
+// RFQs and quotations created before customers existed are only found after POST /api/customers/migrate/link-records.
+const findCustomerRecords = async (Model, customerIds, select) => Model.find({ customerId: { $in: customerIds } })
+  .select(select)
+  .sort({ createdAt: -1 })
+  .lean();
+
+// Count values of a field into [{ name, count }], most frequent first
+const countBy = (values) => {
+  const counts = {};
+  values.filter(Boolean).forEach(value => {
+    const key = value.trim();
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// Lost quotations grouped by catalog reason code (free-text reasons from before the catalog
+// count as uncategorized), with the quoted value and the competitors they were lost to
+const groupLossReasons = (quotations) => {
+  const groups = {};
+  quotations.filter(q => q.status?.type === 'loss').forEach(q => {
+    const code = q.status.reasonCode || UNCATEGORIZED_CODE;
+    if (!groups[code]) {
+      groups[code] = {
+        code,
+        label: code === UNCATEGORIZED_CODE ? 'Uncategorized' : q.status.reason,
+        count: 0,
+        value: 0,
+        competitors: []
+      };
+    }
+    groups[code].count += 1;
+    groups[code].value += q.value;
+    if (q.status.competitor) groups[code].competitors.push(q.status.competitor);
+  });
+  return Object.values(groups)
+    .map(group => ({ ...group, competitors: countBy(group.competitors) }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Everything known about a customer, looked up by name. The name is normalized
+ * (case, punctuation and legal forms ignored) and matched against customer names and aliases.
+ * @param {string} name - Customer name in any spelling
+ */
+const getCustomerOverview = async (name) => {
+  const normalizedName = normalizeCustomerName(name);
+  if (!normalizedName) {
+    throw new Error('Customer name is required');
+  }
+
+  const customer = await Customer.findOne({ isActive: true, searchNames: normalizedName });
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+  // Customers merged into this one keep pointing at it
+  const customerIds = [customer._id, ...(await Customer.find({ mergedInto: customer._id }).distinct('_id'))];
+
+  const [rfqs, headers] = await Promise.all([
+    findCustomerRecords(RFQ, customerIds,
+      'rfqNumber customerId customerName contactPerson status approvalDecision approvalNotes competitor confidenceRate deliveryLocation quotationId createdAt'),
+    findCustomerRecords(QuotationHeader, customerIds,
+      'quotationNumber customerId customerName contactPerson marketingName status selectedOfferId lastFollowUpDate nextFollowUpDate followUps createdAt')
+  ]);
+
+  const valueOfferByHeader = await getValueOffersByHeader(headers);
+
+  const quotations = headers.map(header => {
+    const valueOffer = valueOfferByHeader[header._id.toString()];
+    return {
+      _id: header._id,
+      quotationNumber: header.quotationNumber,
+      customerName: header.customerName,
+      contactPerson: header.contactPerson,
+      marketingName: header.marketingName,
+      status: header.status,
+      value: valueOffer ? (valueOffer.baseTotals?.grandTotal || 0) : 0,
+      valueOfferNumber: valueOffer ? valueOffer.offerNumber : null,
+      lastFollowUpDate: header.lastFollowUpDate,
+      nextFollowUpDate: header.nextFollowUpDate,
+      createdAt: header.createdAt
+    };
+  });
+
+  // Quoted value counts every quotation once; won value only quotations with status win
+  const totals = {
+    currency: BASE_CURRENCY,
+    quotedValue: 0,
+    wonValue: 0,
+    quotations: quotations.length,
+    won: 0,
+    winRate: 0
+  };
+  quotations.forEach(q => {
+    totals.quotedValue += q.value;
+    if (q.status?.type === 'win') {
+      totals.wonValue += q.value;
+      totals.won += 1;
+    }
+  });
+  totals.winRate = quotations.length > 0 ? Math.round((totals.won / quotations.length) * 100) : 0;
+
+  // Most recent follow-up across all quotations
+  let lastFollowUp = null;
+  headers.forEach(header => {
+    (header.followUps || []).forEach(followUp => {
+      if (!lastFollowUp || new Date(followUp.activityDate) > new Date(lastFollowUp.activityDate)) {
+        lastFollowUp = {
+          quotationNumber: header.quotationNumber,
+          activityType: followUp.activityType,
+          activityDate: followUp.activityDate,
+          contactName: followUp.contactName,
+          outcome: followUp.outcome,
+          nextFollowUpDate: followUp.nextFollowUpDate
+        };
+      }
+    });
+  });
+  if (lastFollowUp) {
+    lastFollowUp.followUpStatus = getFollowUpStatus(lastFollowUp.activityDate);
+  }
+
+  const bidDecisions = {
+    bid: rfqs.filter(rfq => rfq.approvalDecision === 'bid').length,
+    noBid: rfqs.filter(rfq => rfq.approvalDecision === 'no_bid').length,
+    pending: rfqs.filter(rfq => !rfq.approvalDecision).length
+  };
+
+  return {
+    customer,
+    name: customer.legalName,
+    normalizedName,
+    namesSeen: [...new Set([...rfqs, ...headers].map(record => record.customerName))],
+    rfqs: rfqs.map(rfq => ({
+      _id: rfq._id,
+      rfqNumber: rfq.rfqNumber,
+      status: rfq.status,
+      approvalDecision: rfq.approvalDecision,
+      approvalNotes: rfq.approvalNotes,
+      competitor: rfq.competitor,
+      confidenceRate: rfq.confidenceRate,
+      deliveryLocation: rfq.deliveryLocation,
+      quotationId: rfq.quotationId,
+      createdAt: rfq.createdAt
+    })),
+    bidDecisions,
+    quotations,
+    statusBreakdown: countBy(quotations.map(q => q.status?.type || 'open')),
+    totals,
+    lastFollowUp,
+    competitors: countBy(rfqs.map(rfq => rfq.competitor)),
+    lossReasons: groupLossReasons(quotations)
+  };
+};
+
+module.exports = {
+  getCustomerOverview
+};
@@ -4,9 +4,20 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
-// Create reusable transporter object using Gmail SMTP
+// Create reusable transporter object. SMTP_HOST points at any SMTP server
+// (e.g. a local stand-in such as Mailpit on port 1025); otherwise Gmail is used.
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  if (process.env.SMTP_HOST) {
+    const hasAuth = Boolean(process.env.SMTP_USER);
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: hasAuth ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  return nodemailer.createTransport({
     service: 'gmail',
     auth: {
       user: process.env.GMAIL_USER,
@@ -15,6 +26,9 @@ const createTransporter = () => {
   });
 };
 
+// Sender address of outgoing emails
+const getDefaultFrom = () => process.env.SMTP_FROM || process.env.GMAIL_USER;
+
 // Test email configuration
 const testEmailConfig = async () => {
   try {
@@ -28,21 +42,22 @@ const testEmailConfig = async () => {
   }
 };
 
-// Send email function (fire and forget)
+// Send an email once, without retrying; the email outbox retries failed deliveries
 const sendEmail = async (mailOptions) => {
   try {
     const transporter = createTransporter();
-    const info = await transporter.sendMail(mailOptions);
+    const info = await transporter.sendMail({ ...mailOptions, from: mailOptions.from || getDefaultFrom() });
     console.log('📧 Email sent successfully:', info.messageId);
-    return { success: true, messageId: info.messageId };
+    return { success: true, messageId: info.messageId, response: info.response };
   } catch (error) {
-    console.error('❌ Failed to send email:', error);
+    console.error('❌ Failed to send email:', error.message);
     return { success: false, error: error.message };
   }
 };
 
 module.exports = {
   createTransporter,
+  getDefaultFrom,
   testEmailConfig,
   sendEmail
 };
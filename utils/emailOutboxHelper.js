@@ -0,0 +1,230 @@
+// =============================================================================
+// EMAIL OUTBOX
+// =============================================================================
+// Every outgoing email is stored before it is sent. Failed deliveries are retried
+// with exponential backoff by the email outbox job until maxAttempts is reached;
+// each attempt is kept in the email's delivery log.
+
+const EmailOutbox = require('../models/emailOutbox.model');
+const { sendEmail: deliverEmail } = require('./emailConfig');
+
+// Attempts per email before it is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+
+// Delay after the first failed attempt; doubles with every further failure
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// An attempt still marked sending after this long was interrupted (e.g. by a restart)
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Delay before the next attempt after the given number of failed attempts
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Emails that are due for an attempt
+const buildDueQuery = (now = new Date()) => ({
+  $or: [
+    { status: 'queued', nextAttemptAt: { $lte: now } },
+    { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } }
+  ]
+});
+
+// Mark a due email as sending so no other run picks it up; returns null when it is not due
+const claimEmail = async (query) => EmailOutbox.findOneAndUpdate(
+  query,
+  { $set: { status: 'sending', lockedAt: new Date() } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// Try to deliver a claimed email once and record the attempt
+const attemptDelivery = async (email, { resendBy = null } = {}) => {
+  const startedAt = new Date();
+  const result = await deliverEmail({ from: email.from, to: email.to, subject: email.subject, html: email.html });
+  const attempt = email.attempts + 1;
+
+  const logEntry = {
+    attempt,
+    status: result.success ? 'sent' : 'failed',
+    attemptedAt: startedAt,
+    durationMs: Date.now() - startedAt.getTime(),
+    messageId: result.messageId,
+    response: result.response,
+    error: result.error,
+    resendBy: resendBy || undefined
+  };
+
+  let set;
+  if (result.success) {
+    set = { status: 'sent', sentAt: new Date(), messageId: result.messageId };
+  } else if (attempt >= email.maxAttempts) {
+    set = { status: 'failed', lastError: result.error };
+  } else {
+    set = { status: 'queued', lastError: result.error, nextAttemptAt: new Date(Date.now() + getRetryDelay(attempt)) };
+  }
+
+  return EmailOutbox.findByIdAndUpdate(
+    email._id,
+    { $set: set, $inc: { attempts: 1 }, $push: { deliveryLog: logEntry }, $unset: { lockedAt: '' } },
+    { new: true }
+  );
+};
+
+// Result returned to callers of sendEmail
+const toSendResult = (email) => ({
+  success: email.status === 'sent',
+  status: email.status,
+  outboxId: email._id,
+  messageId: email.messageId,
+  error: email.status === 'sent' ? undefined : email.lastError
+});
+
+/**
+ * Queue an email in the outbox and try to deliver it right away.
+ * When the attempt fails the email stays queued and is retried by the outbox job.
+ * @param {Object} mailOptions - { from, to, subject, html }
+ * @returns {Promise<Object>} { success, status, outboxId, messageId, error }
+ */
+const sendEmail = async (mailOptions) => {
+  let email;
+  try {
+    email = await EmailOutbox.create({
+      from: mailOptions.from,
+      to: Array.isArray(mailOptions.to) ? mailOptions.to.join(', ') : mailOptions.to,
+      subject: mailOptions.subject,
+      html: mailOptions.html,
+      maxAttempts: MAX_ATTEMPTS
+    });
+  } catch (error) {
+    // Outbox not available: fall back to a single direct attempt
+    console.error('Error queueing email in outbox:', error.message);
+    return deliverEmail(mailOptions);
+  }
+
+  const claimed = await claimEmail({ _id: email._id, status: 'queued' });
+  if (!claimed) return toSendResult(email);
+  return toSendResult(await attemptDelivery(claimed));
+};
+
+/**
+ * Deliver queued emails that are due, oldest first
+ * @param {Object} [options] - { limit } emails per run
+ * @returns {Promise<Object>} { processed, sent, retrying, failed }
+ */
+const processEmailOutbox = async ({ limit = 50 } = {}) => {
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  while (summary.processed < limit) {
+    const email = await claimEmail(buildDueQuery());
+    if (!email) break;
+
+    const delivered = await attemptDelivery(email);
+    summary.processed += 1;
+    if (delivered.status === 'sent') summary.sent += 1;
+    else if (delivered.status === 'failed') summary.failed += 1;
+    else summary.retrying += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * List outbox emails, newest first (without their body)
+ * @param {Object} [filters] - { status, to, search }
+ * @param {Object} [pagination] - { page, limit }
+ */
+const getOutboxEmails = async (filters = {}, pagination = { page: 1, limit: 20 }) => {
+  const { page, limit } = pagination;
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.to) query.to = new RegExp(escapeRegex(filters.to.trim()), 'i');
+  if (filters.search) query.subject = new RegExp(escapeRegex(filters.search.trim()), 'i');
+
+  const [emails, total] = await Promise.all([
+    EmailOutbox.find(query)
+      .select('-html')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    EmailOutbox.countDocuments(query)
+  ]);
+
+  return {
+    emails,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+// Number of outbox emails per status
+const getOutboxStats = async () => {
+  const groups = await EmailOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  const stats = { queued: 0, sending: 0, sent: 0, failed: 0 };
+  groups.forEach(group => {
+    stats[group._id] = group.count;
+  });
+  return stats;
+};
+
+// One outbox email with its body and delivery log
+const getOutboxEmail = async (id) => {
+  const email = await EmailOutbox.findById(id).populate('deliveryLog.resendBy', 'fullName email');
+  if (!email) {
+    throw new Error('Email not found');
+  }
+  return email;
+};
+
+// Give a failed email a fresh set of attempts and try it right away
+const resendEmail = async (id, userId = null) => {
+  const email = await EmailOutbox.findById(id);
+  if (!email) {
+    throw new Error('Email not found');
+  }
+  if (email.status !== 'failed') {
+    throw new Error(`Only failed emails can be resent (status: ${email.status})`);
+  }
+
+  const claimed = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    { $set: { status: 'sending', lockedAt: new Date(), maxAttempts: email.attempts + MAX_ATTEMPTS } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new Error('Email is already being resent');
+  }
+  return attemptDelivery(claimed, { resendBy: userId });
+};
+
+// Queue all (or the given) failed emails again; the outbox job delivers them
+const requeueFailedEmails = async (ids = null) => {
+  const query = { status: 'failed' };
+  if (Array.isArray(ids) && ids.length > 0) query._id = { $in: ids };
+
+  const result = await EmailOutbox.updateMany(query, [
+    {
+      $set: {
+        status: 'queued',
+        nextAttemptAt: '$$NOW',
+        maxAttempts: { $add: ['$attempts', MAX_ATTEMPTS] }
+      }
+    }
+  ]);
+  return { requeued: result.modifiedCount };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  getRetryDelay,
+  sendEmail,
+  processEmailOutbox,
+  getOutboxEmails,
+  getOutboxStats,
+  getOutboxEmail,
+  resendEmail,
+  requeueFailedEmails
+};
@@ -1,4 +1,5 @@
-const { sendEmail } = require('./emailConfig');
+const { getDefaultFrom } = require('./emailConfig');
+const { sendEmail } = require('./emailOutboxHelper');
 
 // Email templates and utility functions
 
@@ -10,7 +11,7 @@ const { sendEmail } = require('./emailConfig');
  */
 const sendTestEmail = async (to, subject = 'Test Email', message = 'This is a test email from ASB system.') => {
   const mailOptions = {
-    from: process.env.GMAIL_USER,
+    from: getDefaultFrom(),
     to: to,
     subject: subject,
     html: `
@@ -33,7 +34,7 @@ const sendTestEmail = async (to, subject = 'Test Email', message = 'This is a te
  */
 const sendWelcomeEmail = async (to, userName, tempPassword = null) => {
   const mailOptions = {
-    from: process.env.GMAIL_USER,
+    from: getDefaultFrom(),
     to: to,
     subject: 'Welcome to ASB System',
     html: `
@@ -60,7 +61,7 @@ const sendWelcomeEmail = async (to, userName, tempPassword = null) => {
  */
 const sendPasswordResetEmail = async (to, userName, resetToken, resetUrl) => {
   const mailOptions = {
-    from: process.env.GMAIL_USER,
+    from: getDefaultFrom(),
     to: to,
     subject: 'Password Reset Request - ASB System',
     html: `
@@ -101,7 +102,7 @@ const sendQuotationNotificationEmail = async (to, quotationNumber, status, recip
   };
   
   const mailOptions = {
-    from: process.env.GMAIL_USER,
+    from: getDefaultFrom(),
     to: to,
     subject: `Quotation ${quotationNumber} - ${status.toUpperCase()}`,
     html: `
@@ -131,7 +132,7 @@ const sendQuotationNotificationEmail = async (to, quotationNumber, status, recip
  */
 const sendRFQNotificationEmail = async (to, rfqNumber, message, recipientName) => {
   const mailOptions = {
-    from: process.env.GMAIL_USER,
+    from: getDefaultFrom(),
     to: to,
     subject: `RFQ ${rfqNumber} - New Request`,
     html: `
@@ -168,7 +169,7 @@ const sendSystemNotificationEmail = async (to, subject, message, recipientName,
   };
   
   const mailOptions = {
-    from: process.env.GMAIL_USER,
+    from: getDefaultFrom(),
     to: to,
     subject: `[${priority.toUpperCase()}] ${subject}`,
     html: `
@@ -190,6 +191,92 @@ const sendSystemNotificationEmail = async (to, subject, message, recipientName,
   return await sendEmail(mailOptions);
 };
 
+/**
+ * Send daily digest of quotations that need a follow-up
+ * @param {string} to - Recipient email
+ * @param {string} recipientName - Recipient name
+ * @param {Array} quotations - [{ quotationNumber, customerName, followUpStatus: { status, label } }]
+ */
+const sendFollowUpDigestEmail = async (to, recipientName, quotations) => {
+  const statusColors = {
+    'warning': '#f59e0b',
+    'danger': '#ef4444'
+  };
+
+  const rows = quotations.map(q => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${q.quotationNumber}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${q.customerName}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: ${statusColors[q.followUpStatus.status] || '#6b7280'}; font-weight: bold;">
+            ${q.followUpStatus.label}
+          </td>
+        </tr>`).join('');
+
+  const mailOptions = {
+    from: getDefaultFrom(),
+    to: to,
+    subject: `Follow-up reminder - ${quotations.length} quotation${quotations.length !== 1 ? 's' : ''} need attention`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Follow-up Reminder</h2>
+        <p>Hello ${recipientName},</p>
+        <p>The following open quotations have not been followed up recently:</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+          <tr style="background-color: #f3f4f6;">
+            <th style="padding: 8px; text-align: left;">Quotation</th>
+            <th style="padding: 8px; text-align: left;">Customer</th>
+            <th style="padding: 8px; text-align: left;">Last Follow-up</th>
+          </tr>${rows}
+        </table>
+        <p>Please log in to the ASB system to record your follow-ups.</p>
+        <p>Best regards,<br>ASB Team</p>
+        <p style="color: #666; font-size: 12px;">Sent at ${new Date().toLocaleString()}</p>
+      </div>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+/**
+ * Send daily digest of notifications queued for the digest
+ * @param {string} to - Recipient email
+ * @param {string} recipientName - Recipient name
+ * @param {Array} items - [{ title, description, entityNumber, createdAt }]
+ */
+const sendNotificationDigestEmail = async (to, recipientName, items) => {
+  const rows = items.map(item => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${item.title}</strong>${item.entityNumber ? ` (${item.entityNumber})` : ''}<br>
+            <span style="color: #4b5563;">${item.description || ''}</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: #6b7280; white-space: nowrap;">
+            ${new Date(item.createdAt).toLocaleString()}
+          </td>
+        </tr>`).join('');
+
+  const mailOptions = {
+    from: getDefaultFrom(),
+    to: to,
+    subject: `Daily digest - ${items.length} notification${items.length !== 1 ? 's' : ''}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Daily Digest</h2>
+        <p>Hello ${recipientName},</p>
+        <p>Here is what happened since your last digest:</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">${rows}
+        </table>
+        <p>Please log in to the ASB system to view details.</p>
+        <p>Best regards,<br>ASB Team</p>
+        <p style="color: #666; font-size: 12px;">Sent at ${new Date().toLocaleString()}</p>
+      </div>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
 /**
  * Send custom email with HTML content
  * @param {string} to - Recipient email
@@ -199,7 +286,7 @@ const sendSystemNotificationEmail = async (to, subject, message, recipientName,
  */
 const sendCustomEmail = async (to, subject, htmlContent, fromName = 'ASB System') => {
   const mailOptions = {
-    from: `"${fromName}" <${process.env.GMAIL_USER}>`,
+    from: `"${fromName}" <${getDefaultFrom()}>`,
     to: to,
     subject: subject,
     html: htmlContent
@@ -215,5 +302,7 @@ module.exports = {
   sendQuotationNotificationEmail,
   sendRFQNotificationEmail,
   sendSystemNotificationEmail,
+  sendFollowUpDigestEmail,
+  sendNotificationDigestEmail,
   sendCustomEmail
 };
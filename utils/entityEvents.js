@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+const QuotationHeader = require('../models/quotationHeader.model');
+const { RFQ } = require('../models/rfq.model');
+const { hasPermission } = require('./permissionHelper');
+
+// Change events of quotations and RFQs, delivered over the WebSocket to topic subscribers
+const entityEvents = new EventEmitter();
+
+// Topic names
+const quotationTopic = (quotationNumber) => `quotation:${quotationNumber}`;
+const rfqTopic = (rfqId) => `rfq:${rfqId}`;
+
+/**
+ * Publish a change to the subscribers of a topic
+ * @param {string} topic - quotation:<number> | rfq:<id>
+ * @param {Object} change
+ * @param {string} change.entityType - QuotationHeader | QuotationOffer | OfferItem | RFQ | RFQItem
+ * @param {string} change.entityId - Changed document
+ * @param {string} change.action - create | update | delete
+ * @param {string} [change.description] - Human readable summary
+ * @param {string} [change.actorId] - User performing the change
+ * @param {string[]} [change.changedFields] - Changed fields, when known
+ */
+const emitEntityChange = (topic, { entityType, entityId, action, description = '', actorId = null, changedFields = [] }) => {
+  entityEvents.emit('change', {
+    topic,
+    entityType,
+    entityId: entityId ? String(entityId) : null,
+    action,
+    description,
+    actorId: actorId ? String(actorId) : null,
+    changedFields,
+    changedAt: new Date()
+  });
+};
+
+/**
+ * Check whether a user may subscribe to a topic. Quotation topics need quotation_view;
+ * RFQ topics the same access as GET /api/rfq/:id (requester, approver or quotation creator).
+ * @param {Object} user - User with populated permissions
+ * @param {string} topic - Topic name
+ * @returns {Promise<boolean>}
+ */
+const canSubscribe = async (user, topic) => {
+  const [type, key] = String(topic || '').split(/:(.+)/);
+  if (!user || !key) return false;
+
+  if (type === 'quotation') {
+    if (!hasPermission(user, 'quotation_view')) return false;
+    return Boolean(await QuotationHeader.exists({ quotationNumber: key }));
+  }
+
+  if (type === 'rfq') {
+    if (!/^[0-9a-fA-F]{24}$/.test(key)) return false;
+    const rfq = await RFQ.findById(key).select('requesterId approverId quotationCreatorId').lean();
+    if (!rfq) return false;
+    const userId = user._id.toString();
+    return (
+      rfq.requesterId.toString() === userId ||
+      (hasPermission(user, 'approve_rfq') && rfq.approverId.toString() === userId) ||
+      (hasPermission(user, 'quotation_create') && rfq.quotationCreatorId.toString() === userId)
+    );
+  }
+
+  return false;
+};
+
+module.exports = {
+  entityEvents,
+  quotationTopic,
+  rfqTopic,
+  emitEntityChange,
+  canSubscribe
+};
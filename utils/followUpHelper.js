@@ -0,0 +1,164 @@
+const QuotationHeader = require('../models/quotationHeader.model');
+const { toPlainSnapshot, recordAudit } = require('./auditHelper');
+
+const ACTIVITY_TYPES = ['call', 'visit', 'email', 'whatsapp', 'other'];
+
+// Recompute lastFollowUpDate and nextFollowUpDate from the follow-up log
+const syncFollowUpDates = (header) => {
+  const entries = [...header.followUps].sort((a, b) => new Date(a.activityDate) - new Date(b.activityDate));
+  const latest = entries[entries.length - 1];
+  // Without entries the quotation counts as followed up when it was created
+  header.lastFollowUpDate = latest ? latest.activityDate : header.createdAt;
+  header.nextFollowUpDate = latest && latest.nextFollowUpDate ? latest.nextFollowUpDate : undefined;
+};
+
+// Pick the editable fields of a follow-up entry
+const pickFollowUpFields = (data) => {
+  const fields = {};
+  ['activityType', 'activityDate', 'contactName', 'outcome', 'nextFollowUpDate'].forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  if (fields.activityType) fields.activityType = String(fields.activityType).toLowerCase();
+  if (fields.nextFollowUpDate === '') fields.nextFollowUpDate = null;
+  return fields;
+};
+
+// Find a quotation header by number
+const findHeader = async (quotationNumber) => {
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+  return header;
+};
+
+// Save the header with derived dates and audit the change
+const saveFollowUps = async (header, before, actorId, description) => {
+  syncFollowUpDates(header);
+  await header.save();
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    before,
+    after: header,
+    actorId,
+    description
+  });
+  return header;
+};
+
+// Get the follow-up log of a quotation, newest first
+const getFollowUps = async (quotationNumber) => {
+  const header = await QuotationHeader.findOne({ quotationNumber })
+    .populate('followUps.authorId', 'fullName email');
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+
+  return [...header.followUps].sort((a, b) => new Date(b.activityDate) - new Date(a.activityDate));
+};
+
+// Get a single follow-up entry
+const getFollowUp = async (quotationNumber, followUpId) => {
+  const header = await findHeader(quotationNumber);
+  const followUp = header.followUps.id(followUpId);
+  if (!followUp) {
+    throw new Error('Follow-up not found');
+  }
+  return followUp;
+};
+
+// Add a follow-up entry
+const addFollowUp = async (quotationNumber, followUpData, actorId) => {
+  const header = await findHeader(quotationNumber);
+  const before = toPlainSnapshot(header);
+
+  const fields = pickFollowUpFields(followUpData);
+  if (!fields.activityType || !fields.outcome) {
+    throw new Error('Activity type and outcome are required');
+  }
+
+  header.followUps.push({ ...fields, authorId: actorId });
+  const followUp = header.followUps[header.followUps.length - 1];
+  await saveFollowUps(header, before, actorId, `Follow-up (${followUp.activityType}) recorded`);
+  return { header, followUp };
+};
+
+// Update a follow-up entry
+const updateFollowUp = async (quotationNumber, followUpId, followUpData, actorId) => {
+  const header = await findHeader(quotationNumber);
+  const followUp = header.followUps.id(followUpId);
+  if (!followUp) {
+    throw new Error('Follow-up not found');
+  }
+  const before = toPlainSnapshot(header);
+
+  followUp.set(pickFollowUpFields(followUpData));
+  await saveFollowUps(header, before, actorId, `Follow-up (${followUp.activityType}) updated`);
+  return { header, followUp };
+};
+
+// Delete a follow-up entry
+const deleteFollowUp = async (quotationNumber, followUpId, actorId) => {
+  const header = await findHeader(quotationNumber);
+  const followUp = header.followUps.id(followUpId);
+  if (!followUp) {
+    throw new Error('Follow-up not found');
+  }
+  const before = toPlainSnapshot(header);
+
+  followUp.deleteOne();
+  await saveFollowUps(header, before, actorId, `Follow-up (${followUp.activityType}) deleted`);
+  return header;
+};
+
+// Convert legacy progress strings into follow-up entries. Only headers that still have a
+// progress array are touched, so running the migration again changes nothing.
+const migrateProgressToFollowUps = async () => {
+  const legacyHeaders = await QuotationHeader.find(
+    { progress: { $exists: true, $ne: [] } },
+    null,
+    { strictQuery: false }
+  ).lean();
+
+  let migratedEntries = 0;
+  for (const legacy of legacyHeaders) {
+    const header = await QuotationHeader.findById(legacy._id);
+    if (!header) continue;
+    const before = toPlainSnapshot(header);
+
+    // Progress strings carry no date; they are placed at the last known follow-up
+    const activityDate = legacy.lastFollowUpDate || legacy.updatedAt || legacy.createdAt;
+    const entries = (legacy.progress || [])
+      .map(progress => String(progress || '').trim())
+      .filter(Boolean);
+    entries.forEach(outcome => {
+      header.followUps.push({
+        activityType: 'other',
+        activityDate,
+        outcome,
+        authorId: legacy.creatorId
+      });
+    });
+    migratedEntries += entries.length;
+
+    // Blank progress notes add nothing; the header keeps its follow-up dates
+    if (entries.length > 0) {
+      await saveFollowUps(header, before, null, 'Progress notes migrated to follow-up log');
+    }
+    await QuotationHeader.updateOne({ _id: legacy._id }, { $unset: { progress: 1 } }, { strict: false });
+  }
+
+  console.log(`Migrated ${migratedEntries} progress notes from ${legacyHeaders.length} quotations`);
+  return { quotations: legacyHeaders.length, entries: migratedEntries };
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  getFollowUps,
+  getFollowUp,
+  addFollowUp,
+  updateFollowUp,
+  deleteFollowUp,
+  migrateProgressToFollowUps
+};
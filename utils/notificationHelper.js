@@ -1,8 +1,16 @@
 const Notification = require('../models/notification.model');
 const { EventEmitter } = require('events');
+const { getNotificationCategory } = require('./notificationTypes');
+const { getSetting } = require('./settingsHelper');
 const notificationsEvents = new EventEmitter();
 
-const FE_LINK = process.env.FE_LINK || 'http://localhost:5173';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry date of a notification created now, from the retention setting
+async function getNotificationExpiry(fromDate = new Date()) {
+  const retentionDays = await getSetting('notificationRetentionDays');
+  return new Date(fromDate.getTime() + retentionDays * DAY_MS);
+}
 
 /**
  * Create and persist a notification for a specific user.
@@ -10,31 +18,101 @@ const FE_LINK = process.env.FE_LINK || 'http://localhost:5173';
  * @param {string} params.userId - User ObjectId
  * @param {string} params.title - Notification title
  * @param {string} [params.description] - Detail text
- * @param {string} [params.path] - Frontend-relative path, e.g. '/profile'
+ * @param {string} [params.type] - Notification type (see notificationTypes), defines the category
+ * @param {string} [params.entityType] - RFQ | QuotationHeader
+ * @param {string} [params.entityId] - Id of the record the notification is about
+ * @param {string} [params.entityNumber] - RFQ or quotation number of that record
  * @param {Date} [params.expires] - Optional expiry override
  * @returns {Promise<Object>} Saved notification document
  */
-async function addNotification({ userId, title, description = '', path = '', expires }) {
-  const link = path ? `${FE_LINK}${path}` : '';
-  const payload = { userId, title, description, link };
-  if (expires) payload.expires = expires;
-  const notif = new Notification(payload);
+async function addNotification({ userId, title, description = '', type = 'system', entityType = null, entityId, entityNumber, expires }) {
+  const notif = new Notification({
+    userId,
+    type,
+    category: getNotificationCategory(type),
+    title,
+    description,
+    entityType,
+    entityId,
+    entityNumber,
+    expires: expires || await getNotificationExpiry()
+  });
   await notif.save();
   // Emit event for websocket broadcasting
   notificationsEvents.emit('created', {
     id: notif._id,
     userId: String(notif.userId),
+    type: notif.type,
+    category: notif.category,
     title: notif.title,
     description: notif.description,
-    link: notif.link,
+    entityType: notif.entityType,
+    entityId: notif.entityId,
+    entityNumber: notif.entityNumber,
     createdAt: notif.createdAt
   });
   return notif;
 }
 
+/**
+ * Build the query for a user's notifications
+ * @param {string} userId - Owner
+ * @param {Object} [filters] - { unreadOnly, archived, category, type }
+ */
+function buildNotificationQuery(userId, { unreadOnly = false, archived = false, category, type } = {}) {
+  // Notifications created before archiving existed have no isArchived field
+  const query = { userId, isArchived: archived ? true : { $ne: true } };
+  if (unreadOnly) query.isRead = false;
+  if (category) query.category = category;
+  if (type) query.type = type;
+  return query;
+}
+
+// Mark all (optionally one category of) a user's unread notifications as read
+async function markAllNotificationsRead(userId, { category } = {}) {
+  const result = await Notification.updateMany(
+    buildNotificationQuery(userId, { unreadOnly: true, category }),
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+  return { updated: result.modifiedCount };
+}
+
+// Archive or restore some of a user's notifications
+async function setNotificationsArchived(userId, ids, archived = true) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error('ids are required');
+  }
+  const result = await Notification.updateMany(
+    { userId, _id: { $in: ids } },
+    archived ? { $set: { isArchived: true, archivedAt: new Date() } } : { $set: { isArchived: false }, $unset: { archivedAt: '' } }
+  );
+  return { updated: result.modifiedCount };
+}
+
+// Delete some of a user's notifications
+async function deleteNotifications(userId, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error('ids are required');
+  }
+  const result = await Notification.deleteMany({ userId, _id: { $in: ids } });
+  return { deleted: result.deletedCount };
+}
+
+// Recompute the expiry of all notifications after the retention setting changed
+async function applyNotificationRetention() {
+  const retentionDays = await getSetting('notificationRetentionDays');
+  const result = await Notification.updateMany({}, [
+    { $set: { expires: { $add: ['$createdAt', retentionDays * DAY_MS] } } }
+  ]);
+  return { updated: result.modifiedCount };
+}
+
 module.exports = {
   addNotification,
+  buildNotificationQuery,
+  markAllNotificationsRead,
+  setNotificationsArchived,
+  deleteNotifications,
+  applyNotificationRetention,
   notificationsEvents
 };
-
-
@@ -0,0 +1,233 @@
+// =============================================================================
+// NOTIFICATION SERVICE
+// =============================================================================
+// Single entry point for notifying users. Each notification goes to the channels
+// the user chose for its event type (in-app, email, daily digest or none), so
+// routes and jobs never call the email utilities directly.
+
+const NotificationPreference = require('../models/notificationPreference.model');
+const User = require('../models/user.model');
+const { addNotification } = require('./notificationHelper');
+const {
+  NOTIFICATION_CHANNELS,
+  PREFERENCE_EVENT_TYPES,
+  getDefaultChannels
+} = require('./notificationTypes');
+const {
+  sendQuotationNotificationEmail,
+  sendRFQNotificationEmail,
+  sendSystemNotificationEmail,
+  sendFollowUpDigestEmail,
+  sendNotificationDigestEmail
+} = require('./emailUtils');
+
+const recipientName = (user) => user.fullName || user.email;
+
+// Email template of each notification type; types without one use the system notification email
+const sendRFQEmail = (user, notification) => sendRFQNotificationEmail(
+  user.email, notification.entityNumber, notification.emailMessage || notification.description, recipientName(user)
+);
+
+const EMAIL_SENDERS = {
+  rfq_submitted: sendRFQEmail,
+  rfq_approved: sendRFQEmail,
+  rfq_rejected: sendRFQEmail,
+  quotation_status_changed: (user, notification) => sendQuotationNotificationEmail(
+    user.email, notification.entityNumber, notification.emailData.status, recipientName(user)
+  ),
+  follow_up_reminder: (user, notification) => sendFollowUpDigestEmail(
+    user.email, recipientName(user), notification.emailData.quotations
+  )
+};
+
+const sendNotificationEmail = (user, notification) => {
+  const sender = EMAIL_SENDERS[notification.type];
+  if (sender) return sender(user, notification);
+  return sendSystemNotificationEmail(
+    user.email, notification.title, notification.emailMessage || notification.description, recipientName(user)
+  );
+};
+
+// Channels a user receives a notification type on
+const getUserChannels = async (userId, type) => {
+  if (!PREFERENCE_EVENT_TYPES[type]) {
+    return getDefaultChannels(type);
+  }
+  const doc = await NotificationPreference.findOne({ userId }).select('preferences').lean();
+  const preference = doc && doc.preferences.find(p => p.eventType === type);
+  return preference ? preference.channels : getDefaultChannels(type);
+};
+
+/**
+ * Notify a user through the channels they chose for the notification type
+ * @param {Object} params
+ * @param {string} params.userId - Recipient
+ * @param {string} params.type - Notification type (see notificationTypes)
+ * @param {string} params.title - Notification title
+ * @param {string} [params.description] - Detail text, also used in emails and digests
+ * @param {string} [params.entityType] - RFQ | QuotationHeader
+ * @param {string} [params.entityId] - Id of the record the notification is about
+ * @param {string} [params.entityNumber] - RFQ or quotation number of that record
+ * @param {string} [params.emailMessage] - Longer text for the immediate email
+ * @param {Object} [params.emailData] - Template data: { status } for quotation_status_changed, { quotations } for follow_up_reminder
+ * @returns {Promise<Object>} { channels, inApp, email: { success } | null, digest }
+ */
+const notifyUser = async ({
+  userId, type, title, description = '', entityType = null, entityId, entityNumber, emailMessage = '', emailData = {}
+}) => {
+  const channels = await getUserChannels(userId, type);
+  const result = { channels, inApp: false, email: null, digest: false };
+
+  if (channels.includes('in_app')) {
+    await addNotification({ userId, title, description, type, entityType, entityId, entityNumber });
+    result.inApp = true;
+  }
+
+  if (channels.includes('email')) {
+    const user = await User.findById(userId).select('email fullName');
+    if (user && user.email) {
+      result.email = await sendNotificationEmail(user, {
+        type, title, description, entityNumber, emailMessage, emailData
+      });
+    }
+  }
+
+  if (channels.includes('digest')) {
+    await NotificationPreference.updateOne(
+      { userId },
+      { $push: { digestQueue: { type, title, description, entityType, entityId, entityNumber } } },
+      { upsert: true }
+    );
+    result.digest = true;
+  }
+
+  return result;
+};
+
+// Notify several users at once; a failure for one recipient does not stop the others
+const notifyUsers = async (userIds, notification) => {
+  const uniqueIds = [...new Set(userIds.filter(Boolean).map(String))];
+  const results = [];
+  for (const userId of uniqueIds) {
+    try {
+      results.push(await notifyUser({ ...notification, userId }));
+    } catch (error) {
+      console.error(`Error notifying user ${userId} (${notification.type}):`, error);
+    }
+  }
+  return results;
+};
+
+// Notify users without holding up the caller, e.g. once a change is saved; failures are only logged
+// so a notification problem never fails a request whose change already went through
+const notifyInBackground = (userIds, notification) => {
+  notifyUsers(userIds, notification).catch(error => {
+    console.error(`Error sending ${notification.type} notifications:`, error);
+  });
+};
+
+// A user's channels for every configurable event type, defaults filled in
+const getNotificationPreferences = async (userId) => {
+  const doc = await NotificationPreference.findOne({ userId }).select('preferences').lean();
+  const saved = new Map((doc ? doc.preferences : []).map(p => [p.eventType, p.channels]));
+
+  return {
+    channels: NOTIFICATION_CHANNELS,
+    preferences: Object.entries(PREFERENCE_EVENT_TYPES).map(([eventType, { label, defaultChannels }]) => ({
+      eventType,
+      label,
+      channels: saved.has(eventType) ? saved.get(eventType) : defaultChannels,
+      defaultChannels,
+      isDefault: !saved.has(eventType)
+    }))
+  };
+};
+
+// Check one { eventType, channels } entry; channels 'off' or [] turns the event off
+const normalizePreference = ({ eventType, channels } = {}) => {
+  if (!PREFERENCE_EVENT_TYPES[eventType]) {
+    throw new Error(`Unknown event type: ${eventType}`);
+  }
+  const list = channels === 'off' ? [] : Array.isArray(channels) ? [...new Set(channels)] : [channels];
+  const invalid = list.filter(channel => !NOTIFICATION_CHANNELS.includes(channel));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid channel for ${eventType}: ${invalid.join(', ')}`);
+  }
+  if (list.includes('email') && list.includes('digest')) {
+    throw new Error(`Choose either email or digest for ${eventType}, not both`);
+  }
+  return { eventType, channels: list };
+};
+
+/**
+ * Save a user's channels for some event types; other event types keep their current choice
+ * @param {string} userId - Owner
+ * @param {Array} preferences - [{ eventType, channels: ['in_app' | 'email' | 'digest'] | 'off' }]
+ * @param {Object} [options] - { reset: true } restores the defaults of all event types first
+ */
+const updateNotificationPreferences = async (userId, preferences = [], { reset = false } = {}) => {
+  if (!Array.isArray(preferences)) {
+    throw new Error('preferences must be an array');
+  }
+  const updates = preferences.map(normalizePreference);
+
+  const doc = await NotificationPreference.findOne({ userId }) || new NotificationPreference({ userId });
+  if (reset) {
+    doc.preferences = [];
+  }
+  updates.forEach(update => {
+    const existing = doc.preferences.find(p => p.eventType === update.eventType);
+    if (existing) existing.channels = update.channels;
+    else doc.preferences.push(update);
+  });
+  await doc.save();
+
+  return getNotificationPreferences(userId);
+};
+
+// Send every user their queued digest notifications. Items are removed once the email is in the
+// email outbox, which retries failed deliveries; if it could not even be queued they wait for the next run.
+const sendNotificationDigests = async () => {
+  const docs = await NotificationPreference.find({ 'digestQueue.0': { $exists: true } })
+    .select('userId digestQueue')
+    .lean();
+  const summary = { recipients: docs.length, emailsSent: 0, emailsFailed: 0, itemsSent: 0, itemsDropped: 0 };
+
+  for (const doc of docs) {
+    const itemIds = doc.digestQueue.map(item => item._id);
+    const user = await User.findById(doc.userId).select('email fullName isActive');
+
+    if (!user || !user.isActive || !user.email) {
+      // Nobody to send these to
+      await NotificationPreference.updateOne({ _id: doc._id }, { $pull: { digestQueue: { _id: { $in: itemIds } } } });
+      summary.itemsDropped += itemIds.length;
+      continue;
+    }
+
+    const items = [...doc.digestQueue].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const result = await sendNotificationDigestEmail(user.email, recipientName(user), items);
+    if (!result.success && !result.outboxId) {
+      summary.emailsFailed += 1;
+      continue;
+    }
+
+    // Only remove what was sent; items queued meanwhile go out with the next digest
+    await NotificationPreference.updateOne(
+      { _id: doc._id },
+      { $pull: { digestQueue: { _id: { $in: itemIds } } }, $set: { lastDigestSentAt: new Date() } }
+    );
+    summary.emailsSent += 1;
+    summary.itemsSent += itemIds.length;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  notifyUser,
+  notifyUsers,
+  notifyInBackground,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  sendNotificationDigests
+};
@@ -0,0 +1,57 @@
+// Notification types and the category each belongs to
+const NOTIFICATION_TYPES = {
+  rfq_submitted: 'rfq',
+  rfq_approved: 'rfq',
+  rfq_rejected: 'rfq',
+  quotation_status_changed: 'quotation',
+  offer_approval_requested: 'approval',
+  offer_approved: 'approval',
+  offer_rejected: 'approval',
+  offer_expired: 'quotation',
+  follow_up_reminder: 'follow_up',
+  system: 'system'
+};
+
+const NOTIFICATION_CATEGORIES = ['rfq', 'quotation', 'approval', 'follow_up', 'system'];
+
+// Records a notification can point to
+const NOTIFICATION_ENTITY_TYPES = ['RFQ', 'QuotationHeader'];
+
+// Ways a notification reaches a user: in the app, by email right away, or in the daily digest email
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'digest'];
+
+// Event types users can choose channels for, with their label and default channels
+const PREFERENCE_EVENT_TYPES = {
+  rfq_submitted: { label: 'RFQ submitted', defaultChannels: ['in_app', 'email'] },
+  rfq_approved: { label: 'RFQ approved', defaultChannels: ['in_app', 'email'] },
+  rfq_rejected: { label: 'RFQ rejected', defaultChannels: ['in_app', 'email'] },
+  quotation_status_changed: { label: 'Quotation status change', defaultChannels: ['in_app', 'email'] },
+  follow_up_reminder: { label: 'Follow-up overdue', defaultChannels: ['in_app', 'email'] }
+};
+
+// Channels of the types users cannot configure
+const FIXED_CHANNELS = {
+  offer_approval_requested: ['in_app', 'email'],
+  offer_approved: ['in_app', 'email'],
+  offer_rejected: ['in_app', 'email'],
+  offer_expired: ['in_app'],
+  system: ['in_app']
+};
+
+// Category of a notification type
+const getNotificationCategory = (type) => NOTIFICATION_TYPES[type] || 'system';
+
+// Channels used for a type when the user has not chosen any
+const getDefaultChannels = (type) => (
+  PREFERENCE_EVENT_TYPES[type] ? PREFERENCE_EVENT_TYPES[type].defaultChannels : FIXED_CHANNELS[type] || ['in_app']
+);
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_ENTITY_TYPES,
+  NOTIFICATION_CHANNELS,
+  PREFERENCE_EVENT_TYPES,
+  getNotificationCategory,
+  getDefaultChannels
+};
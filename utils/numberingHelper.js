@@ -0,0 +1,295 @@
+const Counter = require('../models/counter.model');
+const NumberingFormat = require('../models/numberingFormat.model');
+
+// Convert month to Roman numerals
+const ROMAN_MONTHS = {
+  1: 'I', 2: 'II', 3: 'III', 4: 'IV', 5: 'V', 6: 'VI',
+  7: 'VII', 8: 'VIII', 9: 'IX', 10: 'X', 11: 'XI', 12: 'XII'
+};
+
+// Formats used when an admin has not configured one yet
+const DEFAULT_FORMATS = {
+  quotation: {
+    template: '{seq}/{prefix}/{romanMonth}/{year}',
+    prefix: 'QUO/STM',
+    padding: 0,
+    resetPeriod: 'monthly',
+    description: 'Quotation number'
+  },
+  rfq: {
+    template: '{seq}/{prefix}/{romanMonth}/{year}',
+    prefix: 'RFQ/STM',
+    padding: 0,
+    resetPeriod: 'monthly',
+    description: 'Request for quotation number'
+  },
+  offer: {
+    template: '{parent}-{seq}',
+    prefix: '',
+    padding: 0,
+    resetPeriod: 'never',
+    description: 'Offer number within a quotation ({parent} = quotation number)'
+  },
+  offer_revision: {
+    template: '{parent}-Rev{seq}',
+    prefix: '',
+    padding: 0,
+    resetPeriod: 'never',
+    description: 'Offer revision number ({parent} = original offer number)'
+  }
+};
+
+const DOCUMENT_TYPES = Object.keys(DEFAULT_FORMATS);
+
+// Document types numbered inside a parent document must reference it
+const PARENT_SCOPED_TYPES = ['offer', 'offer_revision'];
+
+// Tokens a template needs for its counter to restart each period without repeating numbers
+const PERIOD_TOKENS = {
+  monthly: [['{month}', '{romanMonth}'], ['{year}', '{yy}']],
+  yearly: [['{year}', '{yy}']]
+};
+
+// Numbers tried before giving up when generated numbers are already taken
+const MAX_NUMBER_ATTEMPTS = 100;
+
+// Get the effective format for a document type (stored format or default)
+const getNumberingFormat = async (documentType) => {
+  if (!DEFAULT_FORMATS[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const format = await NumberingFormat.findOne({ documentType }).lean();
+  return {
+    documentType,
+    ...DEFAULT_FORMATS[documentType],
+    ...(format || {}),
+    isDefault: !format
+  };
+};
+
+// Get all formats, merged with defaults
+const getNumberingFormats = async () => {
+  const formats = [];
+  for (const documentType of DOCUMENT_TYPES) {
+    formats.push(await getNumberingFormat(documentType));
+  }
+  return formats;
+};
+
+// Check that a template suits its document type and reset period
+const validateNumberingFormat = (documentType, { template, resetPeriod }) => {
+  if (PARENT_SCOPED_TYPES.includes(documentType) && !template.includes('{parent}')) {
+    throw new Error('Template must contain the {parent} token');
+  }
+  // Without the period in the number, a counter that restarts would repeat earlier numbers
+  const missingToken = (PERIOD_TOKENS[resetPeriod] || []).find(
+    alternatives => !alternatives.some(token => template.includes(token))
+  );
+  if (missingToken) {
+    throw new Error(`A ${resetPeriod} reset needs ${missingToken.join(' or ')} in the template`);
+  }
+};
+
+// Validate and save the format for a document type
+const updateNumberingFormat = async (documentType, updateData, userId) => {
+  if (!DEFAULT_FORMATS[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const { template, prefix, padding, resetPeriod, description } = updateData;
+  const current = await getNumberingFormat(documentType);
+  validateNumberingFormat(documentType, {
+    template: template !== undefined ? template : current.template,
+    resetPeriod: resetPeriod !== undefined ? resetPeriod : current.resetPeriod
+  });
+
+  const update = { lastModifiedBy: userId };
+  if (template !== undefined) update.template = template;
+  if (prefix !== undefined) update.prefix = prefix;
+  if (padding !== undefined) update.padding = parseInt(padding, 10);
+  if (resetPeriod !== undefined) update.resetPeriod = resetPeriod;
+  if (description !== undefined) update.description = description;
+
+  // Defaults are only written for fields the admin did not set
+  const insertDefaults = { documentType };
+  Object.keys(DEFAULT_FORMATS[documentType]).forEach(field => {
+    if (update[field] === undefined) insertDefaults[field] = DEFAULT_FORMATS[documentType][field];
+  });
+
+  return await NumberingFormat.findOneAndUpdate(
+    { documentType },
+    { $set: update, $setOnInsert: insertDefaults },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Key of the period a counter belongs to
+const getPeriodKey = (resetPeriod, date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  if (resetPeriod === 'monthly') return `${year}-${month}`;
+  if (resetPeriod === 'yearly') return `${year}`;
+  return 'all';
+};
+
+// Start and end dates of the period a counter belongs to
+const getPeriodRange = (resetPeriod, date) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  if (resetPeriod === 'monthly') {
+    return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+  }
+  if (resetPeriod === 'yearly') {
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+  }
+  return null;
+};
+
+// Values for every template token except {seq}
+const getTemplateTokens = (format, date, parent = '') => {
+  const month = date.getMonth() + 1;
+  return {
+    prefix: format.prefix || '',
+    romanMonth: ROMAN_MONTHS[month],
+    month: String(month).padStart(2, '0'),
+    year: String(date.getFullYear()),
+    yy: String(date.getFullYear()).slice(-2),
+    parent: parent || ''
+  };
+};
+
+// Render a number from a template
+const renderTemplate = (format, tokens, seq) => {
+  const padded = String(seq).padStart(format.padding || 0, '0');
+  return format.template
+    .replace(/\{(\w+)\}/g, (match, token) => {
+      if (token === 'seq') return padded;
+      return tokens[token] !== undefined ? tokens[token] : match;
+    });
+};
+
+// Build a regex that extracts {seq} from numbers rendered with this template
+const buildNumberPattern = (format, tokens) => {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = format.template.split(/(\{\w+\})/).map(part => {
+    const match = part.match(/^\{(\w+)\}$/);
+    if (!match) return escape(part);
+    if (match[1] === 'seq') return '(\\d+)';
+    return escape(tokens[match[1]] !== undefined ? tokens[match[1]] : part);
+  });
+  return new RegExp(`^${parts.join('')}$`);
+};
+
+// Highest sequence found in existing numbers, used to seed a new counter
+const findHighestSequence = (numbers, pattern) => {
+  let highest = 0;
+  numbers.forEach(number => {
+    const match = number && number.match(pattern);
+    if (match) {
+      const seq = parseInt(match[1], 10);
+      if (seq > highest) highest = seq;
+    }
+  });
+  return highest;
+};
+
+// Make sure the counter exists, seeding it from legacy data on first use
+const ensureCounter = async (key, seed) => {
+  const existing = await Counter.findOne({ key });
+  if (existing) return;
+
+  const initial = seed ? await seed() : 0;
+  try {
+    await Counter.create({ key, seq: initial });
+  } catch (error) {
+    // Another request created the counter first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Generate the next document number atomically
+ * @param {string} documentType - quotation | offer | offer_revision | rfq
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Date used for period and template tokens (default: now)
+ * @param {string} [options.parent] - Parent number for offer and revision numbers
+ * @param {Function} [options.seed] - async ({ format, tokens, pattern, range }) => highest existing sequence
+ * @param {Function} [options.isTaken] - async (number) => true when the number is already in use; it is skipped
+ * @returns {Promise<{number: string, seq: number}>}
+ */
+const generateDocumentNumber = async (documentType, { date = new Date(), parent = '', seed = null, isTaken = null } = {}) => {
+  const format = await getNumberingFormat(documentType);
+  if (PARENT_SCOPED_TYPES.includes(documentType) && !parent) {
+    throw new Error(`Parent number is required for ${documentType} numbers`);
+  }
+
+  const tokens = getTemplateTokens(format, date, parent);
+  const periodKey = getPeriodKey(format.resetPeriod, date);
+  const key = parent ? `${documentType}:${periodKey}:${parent}` : `${documentType}:${periodKey}`;
+
+  await ensureCounter(key, seed && (() => seed({
+    format,
+    tokens,
+    pattern: buildNumberPattern(format, tokens),
+    range: getPeriodRange(format.resetPeriod, date)
+  })));
+
+  // Numbers issued under an earlier format can collide with new ones; move the counter past them
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const counter = await Counter.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true }
+    );
+    const number = renderTemplate(format, tokens, counter.seq);
+    if (!isTaken || !(await isTaken(number))) {
+      return { number, seq: counter.seq };
+    }
+  }
+  throw new Error(`No free ${documentType} number found after ${MAX_NUMBER_ATTEMPTS} attempts; check the numbering format`);
+};
+
+/**
+ * Preview the next document number without consuming it
+ * @param {string} documentType - Document type
+ * @param {Object} [options] - Same options as generateDocumentNumber
+ */
+const previewDocumentNumber = async (documentType, { date = new Date(), parent = '', seed = null } = {}) => {
+  const format = await getNumberingFormat(documentType);
+  const tokens = getTemplateTokens(format, date, parent);
+  const periodKey = getPeriodKey(format.resetPeriod, date);
+  const key = parent ? `${documentType}:${periodKey}:${parent}` : `${documentType}:${periodKey}`;
+
+  const counter = await Counter.findOne({ key });
+  let current = counter ? counter.seq : 0;
+  if (!counter && seed) {
+    current = await seed({
+      format,
+      tokens,
+      pattern: buildNumberPattern(format, tokens),
+      range: getPeriodRange(format.resetPeriod, date)
+    });
+  }
+
+  return {
+    number: renderTemplate(format, tokens, current + 1),
+    seq: current + 1
+  };
+};
+
+module.exports = {
+  ROMAN_MONTHS,
+  DOCUMENT_TYPES,
+  getNumberingFormat,
+  getNumberingFormats,
+  validateNumberingFormat,
+  updateNumberingFormat,
+  getPeriodKey,
+  getTemplateTokens,
+  renderTemplate,
+  buildNumberPattern,
+  findHighestSequence,
+  generateDocumentNumber,
+  previewDocumentNumber
+};
@@ -0,0 +1,104 @@
+// Rounding applied to unit prices and charges (e.g. PRICE_ROUNDING_UNIT=1000 rounds to thousands)
+const ROUNDING_UNIT = parseFloat(process.env.PRICE_ROUNDING_UNIT) || 1;
+const ROUNDING_MODE = ['nearest', 'up', 'down'].includes(process.env.PRICE_ROUNDING_MODE)
+  ? process.env.PRICE_ROUNDING_MODE
+  : 'nearest';
+
+// Offer-level charge types; 'discount' reduces the offer total, the others add to it
+const CHARGE_TYPES = ['delivery', 'installation', 'other', 'discount'];
+
+/**
+ * Round an amount with the configured rounding unit and mode
+ * @param {number} amount - Amount to round
+ * @returns {number}
+ */
+const roundPrice = (amount) => {
+  const value = Number(amount) || 0;
+  const steps = value / ROUNDING_UNIT;
+  let rounded;
+  if (ROUNDING_MODE === 'up') rounded = Math.ceil(steps);
+  else if (ROUNDING_MODE === 'down') rounded = Math.floor(steps);
+  else rounded = Math.round(steps);
+  // Strip floating point noise such as 0.30000000000000004
+  return Math.round(rounded * ROUNDING_UNIT * 100) / 100;
+};
+
+/**
+ * Unit netto of an item after its discount.
+ * Percentage discounts apply to the unit price, flat discounts are per unit.
+ * Without a discount the netto is the price, unless keepNetto is set for a netto negotiated by hand.
+ * @param {Object} item - { price, discountType, discountValue, netto }
+ * @param {Object} [options] - { keepNetto: true } keeps the item's netto when it has no discount
+ * @returns {number}
+ */
+const calculateUnitNetto = (item, { keepNetto = false } = {}) => {
+  const price = Number(item.price) || 0;
+  const discountValue = Number(item.discountValue) || 0;
+
+  if (discountValue > 0) {
+    const discounted = item.discountType === 'flat'
+      ? price - discountValue
+      : price * (1 - discountValue / 100);
+    return Math.max(0, roundPrice(discounted));
+  }
+
+  const hasNetto = keepNetto && item.netto !== undefined && item.netto !== null;
+  const netto = hasNetto ? Number(item.netto) : price;
+  return Math.max(0, roundPrice(netto));
+};
+
+/**
+ * Line totals of an item: unit price × quantity minus discount
+ * @param {Object} item - { price, quantity, discountType, discountValue, netto }
+ * @param {Object} [options] - Passed to calculateUnitNetto
+ * @returns {{netto: number, lineTotal: number, lineDiscount: number, lineNetto: number}}
+ */
+const calculateLineTotals = (item, options = {}) => {
+  const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+  const netto = calculateUnitNetto(item, options);
+  const lineTotal = roundPrice((Number(item.price) || 0) * quantity);
+  const lineNetto = roundPrice(netto * quantity);
+
+  return {
+    netto,
+    lineTotal,
+    lineDiscount: Math.max(0, roundPrice(lineTotal - lineNetto)),
+    lineNetto
+  };
+};
+
+/**
+ * Offer totals from its items and additional charges
+ * @param {Array} items - Offer items with line totals
+ * @param {Array} [additionalCharges] - [{ type, amount }]
+ * @returns {{totalPrice, itemsNetto, totalCharges, totalAdditionalDiscount, totalDiscount, totalNetto}}
+ */
+const calculateOfferTotals = (items, additionalCharges = []) => {
+  const totalPrice = roundPrice(items.reduce((sum, item) => sum + (item.lineTotal || 0), 0));
+  const itemsNetto = roundPrice(items.reduce((sum, item) => sum + (item.lineNetto || 0), 0));
+  const totalCharges = roundPrice(additionalCharges
+    .filter(charge => charge.type !== 'discount')
+    .reduce((sum, charge) => sum + (charge.amount || 0), 0));
+  const totalAdditionalDiscount = roundPrice(additionalCharges
+    .filter(charge => charge.type === 'discount')
+    .reduce((sum, charge) => sum + (charge.amount || 0), 0));
+
+  const totalNetto = Math.max(0, roundPrice(itemsNetto + totalCharges - totalAdditionalDiscount));
+
+  return {
+    totalPrice,
+    itemsNetto,
+    totalCharges,
+    totalAdditionalDiscount,
+    totalDiscount: Math.max(0, roundPrice(totalPrice - itemsNetto + totalAdditionalDiscount)),
+    totalNetto
+  };
+};
+
+module.exports = {
+  CHARGE_TYPES,
+  roundPrice,
+  calculateUnitNetto,
+  calculateLineTotals,
+  calculateOfferTotals
+};
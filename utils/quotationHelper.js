@@ -1,61 +1,42 @@
 const QuotationHeader = require('../models/quotationHeader.model');
 const QuotationOffer = require('../models/quotationOffer.model');
 const OfferItem = require('../models/offerItem.model');
+const User = require('../models/user.model');
+const Customer = require('../models/customer.model');
+const { toPlainSnapshot, recordAudit } = require('./auditHelper');
+const { generateDocumentNumber, previewDocumentNumber, findHighestSequence } = require('./numberingHelper');
+const { BASE_CURRENCY } = require('./currencyHelper');
+const { REPORTING_TIMEZONE, buildCreatedAtFilter, quotationValueStages, toMonthKey, monthKeysBetween, formatMonthKey } = require('./analyticsHelper');
+const { getSetting } = require('./settingsHelper');
+const { resolveCustomer } = require('./customerHelper');
+const { UNCATEGORIZED_CODE, validateStatusReason } = require('./statusReasonHelper');
+const { QUOTATION_STATUSES, ACTIVE_STATUSES, getAllowedTransitions, isQuotationLocked, validateStatusTransition, withStatusDurations } = require('./quotationStatusHelper');
+const { hasPermission } = require('./permissionHelper');
+const { notifyInBackground } = require('./notificationService');
+
+// Seed the quotation counter from numbers already issued in the period
+const seedQuotationSequence = async ({ pattern, range }) => {
+  const query = range ? { createdAt: { $gte: range.start, $lt: range.end } } : {};
+  const quotationHeaders = await QuotationHeader.find(query, { quotationNumber: 1 });
+  return findHighestSequence(quotationHeaders.map(header => header.quotationNumber), pattern);
+};
 
-// Generate quotation number
+// Generate quotation number, skipping numbers that already exist (e.g. after a format change)
 const generateQuotationNumber = async () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1; 
-  
-  // Convert month to Roman numerals
-  const romanMonths = {
-    1: 'I', 2: 'II', 3: 'III', 4: 'IV', 5: 'V', 6: 'VI',
-    7: 'VII', 8: 'VIII', 9: 'IX', 10: 'X', 11: 'XI', 12: 'XII'
-  };
-  const romanMonth = romanMonths[month];
-  
-  // Find all quotation headers for this month and year
-  const startOfMonth = new Date(year, month - 1, 1);
-  const endOfMonth = new Date(year, month, 0);
-  
-  const quotationHeaders = await QuotationHeader.find({
-    createdAt: {
-      $gte: startOfMonth,
-      $lte: endOfMonth
-    }
-  }, { quotationNumber: 1 });
-
-  // Extract the highest number from existing quotation numbers for this month
-  let highestNumber = 0;
-  const quotationPattern = new RegExp(`^(\\d+)/QUO/STM/${romanMonth}/${year}$`);
-  
-  quotationHeaders.forEach(header => {
-    if (header.quotationNumber) {
-      const match = header.quotationNumber.match(quotationPattern);
-      if (match) {
-        const number = parseInt(match[1], 10);
-        if (number > highestNumber) {
-          highestNumber = number;
-        }
-      }
-    }
+  const { number: quotationNumber } = await generateDocumentNumber('quotation', {
+    seed: seedQuotationSequence,
+    isTaken: async (number) => Boolean(await QuotationHeader.exists({ quotationNumber: number }))
   });
 
-  const nextNumber = highestNumber + 1;
-  const quotationNumber = `${nextNumber}/QUO/STM/${romanMonth}/${year}`;
-  
-  
-  // Double-check that this number doesn't already exist (race condition protection)
-  const existingHeader = await QuotationHeader.findOne({ quotationNumber });
-  if (existingHeader) {
-    // Recursively generate a new number
-    return await generateQuotationNumber();
-  }
-  
   return quotationNumber;
 };
 
+// Preview the next quotation number without consuming it
+const previewQuotationNumber = async () => {
+  const { number } = await previewDocumentNumber('quotation', { seed: seedQuotationSequence });
+  return number;
+};
+
 // Generate offer number for a specific quotation
 const generateOfferNumber = async (quotationNumber, isRevision = false, parentOfferId = null) => {
   // Find quotation header
@@ -65,28 +46,30 @@ const generateOfferNumber = async (quotationNumber, isRevision = false, parentOf
   }
 
   if (isRevision && parentOfferId) {
-    // For revisions, use the same offer number as parent but with revision suffix
+    // For revisions, use the original offer number as parent with a revision suffix
     const parentOffer = await QuotationOffer.findById(parentOfferId);
     if (!parentOffer) {
       throw new Error('Parent offer not found');
     }
     
-    // Extract the base offer number (without revision suffix)
-    const baseOfferNumber = parentOffer.offerNumber.split('-Rev')[0];
-    
-    // Find the highest revision number for this offer
-    const existingRevisions = await QuotationOffer.find({
+    const originalOffer = await QuotationOffer.findOne({
       quotationHeaderId: header._id,
       offerNumberInQuotation: parentOffer.offerNumberInQuotation,
-      revision: { $gt: 0 }
-    }).sort({ revision: -1 });
-    
-    let revision = 1;
-    if (existingRevisions.length > 0) {
-      revision = existingRevisions[0].revision + 1;
-    }
+      revision: 0
+    });
+    const baseOfferNumber = originalOffer ? originalOffer.offerNumber : parentOffer.offerNumber.split('-Rev')[0];
     
-    const offerNumber = `${baseOfferNumber}-Rev${revision}`;
+    const { number: offerNumber, seq: revision } = await generateDocumentNumber('offer_revision', {
+      parent: baseOfferNumber,
+      // Seed from the highest revision already in this chain
+      seed: async () => {
+        const latestRevision = await QuotationOffer.findOne({
+          quotationHeaderId: header._id,
+          offerNumberInQuotation: parentOffer.offerNumberInQuotation
+        }).sort({ revision: -1 });
+        return latestRevision ? latestRevision.revision : 0;
+      }
+    });
     
     // Double-check that this revision number doesn't already exist
     const existingOffer = await QuotationOffer.findOne({ offerNumber });
@@ -94,33 +77,27 @@ const generateOfferNumber = async (quotationNumber, isRevision = false, parentOf
       throw new Error(`Revision ${offerNumber} already exists`);
     }
     
-    return { offerNumber, offerNumberInQuotation: parentOffer.offerNumberInQuotation };
+    return { offerNumber, offerNumberInQuotation: parentOffer.offerNumberInQuotation, revision };
   } else {
-    // For new offers, find the next offer number in quotation
-    const existingOffers = await QuotationOffer.find({ 
-      quotationHeaderId: header._id,
-      revision: 0 // Only count original offers, not revisions
-    }, { offerNumberInQuotation: 1 });
-    
-    // Find the highest offer number in quotation
-    let highestOfferNumberInQuotation = 0;
-  existingOffers.forEach(offer => {
-      if (offer.offerNumberInQuotation > highestOfferNumberInQuotation) {
-        highestOfferNumberInQuotation = offer.offerNumberInQuotation;
+    const { number: offerNumber, seq: offerNumberInQuotation } = await generateDocumentNumber('offer', {
+      parent: quotationNumber,
+      // Seed from the highest original offer (revisions share the original's counter)
+      seed: async () => {
+        const latestOffer = await QuotationOffer.findOne({
+          quotationHeaderId: header._id,
+          revision: 0
+        }).sort({ offerNumberInQuotation: -1 });
+        return latestOffer ? latestOffer.offerNumberInQuotation : 0;
       }
     });
-
-    const nextOfferNumberInQuotation = highestOfferNumberInQuotation + 1;
-    const offerNumber = `${quotationNumber}-${nextOfferNumberInQuotation}`;
     
-    
-    // Double-check that this number doesn't already exist (race condition protection)
+    // Double-check that this number doesn't already exist
     const existingOffer = await QuotationOffer.findOne({ offerNumber });
     if (existingOffer) {
       throw new Error(`Offer number ${offerNumber} already exists`);
     }
     
-    return { offerNumber, offerNumberInQuotation: nextOfferNumberInQuotation };
+    return { offerNumber, offerNumberInQuotation, revision: 0 };
   }
 };
 
@@ -192,11 +169,38 @@ const formatDataForStorage = (data) => {
 };
 
 
+// Default validity date of a new offer (company setting offerValidityDays)
+const getDefaultValidUntil = async (fromDate = new Date()) => {
+  const validityDays = await getSetting('offerValidityDays');
+  const validUntil = new Date(fromDate);
+  validUntil.setDate(validUntil.getDate() + validityDays);
+  validUntil.setHours(23, 59, 59, 999);
+  return validUntil;
+};
+
+// Validity status of an offer: 'valid' or 'expired'
+const getOfferValidityStatus = (offer, now = new Date()) => {
+  if (offer.isExpired || (offer.validUntil && new Date(offer.validUntil) < now)) return 'expired';
+  return 'valid';
+};
+
+// Fill in defaults of offer-level charges (delivery charges describe the delivery location)
+const applyChargeDefaults = (header, additionalCharges) => {
+  if (!Array.isArray(additionalCharges)) return additionalCharges;
+  return additionalCharges.map(charge => ({
+    ...charge,
+    description: charge.description || (charge.type === 'delivery' ? header.deliveryLocation : charge.description)
+  }));
+};
+
 // Create quotation header
-const createQuotationHeader = async (headerData) => {
+const createQuotationHeader = async (headerData, actorId = null, description = 'Quotation created') => {
   // Format data before saving
   const formattedData = formatDataForStorage(headerData);
 
+  // Link the quotation to customer master data (matched by name or created when new)
+  Object.assign(formattedData, await resolveCustomer(formattedData, actorId));
+
   // Generate quotation number
   const quotationNumber = await generateQuotationNumber();
 
@@ -204,15 +208,26 @@ const createQuotationHeader = async (headerData) => {
   const header = new QuotationHeader({
     ...formattedData,
     quotationNumber,
-    lastFollowUpDate: new Date() // Set initial follow-up date to now
+    lastFollowUpDate: new Date(), // Set initial follow-up date to now
+    status: { type: 'open', changedAt: new Date() },
+    statusHistory: [{ fromStatus: null, toStatus: 'open', changedBy: actorId || undefined }]
   });
 
   await header.save();
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    after: header,
+    actorId,
+    description
+  });
+
   return header;
 };
 
 // Create quotation offer
-const createQuotationOffer = async (quotationNumber, offerData) => {
+const createQuotationOffer = async (quotationNumber, offerData, actorId = null, description = null) => {
   try {
     // Format data before saving
     const formattedData = formatDataForStorage(offerData);
@@ -259,6 +274,14 @@ const createQuotationOffer = async (quotationNumber, offerData) => {
     if (offerNumberResult.offerNumberInQuotation) {
       offerNumberInQuotation = offerNumberResult.offerNumberInQuotation;
     }
+    if (formattedData.isRevision && formattedData.parentOfferId) {
+      revision = offerNumberResult.revision;
+    }
+
+    formattedData.additionalCharges = applyChargeDefaults(header, formattedData.additionalCharges);
+    if (!formattedData.validUntil) {
+      formattedData.validUntil = await getDefaultValidUntil();
+    }
 
     // Extract offer items from offerData
     const offerItems = formattedData.offerItems || [];
@@ -280,6 +303,7 @@ const createQuotationOffer = async (quotationNumber, offerData) => {
     await offer.save();
 
     // Create offer items if provided
+    const createdItems = [];
     if (offerItems.length > 0) {
       console.log('Backend: Creating', offerItems.length, 'offer items');
       for (let i = 0; i < offerItems.length; i++) {
@@ -304,6 +328,7 @@ const createQuotationOffer = async (quotationNumber, offerData) => {
         
         console.log('Backend: Saving offer item:', offerItem);
         await offerItem.save();
+        createdItems.push(offerItem);
         console.log('Backend: Offer item saved successfully');
       }
       
@@ -314,6 +339,23 @@ const createQuotationOffer = async (quotationNumber, offerData) => {
       console.log('Backend: No offer items to create');
     }
 
+    await recordAudit({
+      header,
+      entityType: 'QuotationOffer',
+      after: offer,
+      actorId,
+      description: description || (revision > 0 ? `Revision ${offer.offerNumber} created` : `Offer ${offer.offerNumber} created`)
+    });
+    for (const item of createdItems) {
+      await recordAudit({
+        header,
+        entityType: 'OfferItem',
+        after: item,
+        actorId,
+        description: `Item ${item.itemNumber} added to offer ${offer.offerNumber}`
+      });
+    }
+
     return offer;
   } catch (error) {
     console.error('Error creating quotation offer:', error);
@@ -385,6 +427,7 @@ const getQuotationOffers = async (quotationNumber) => {
     const offerId = offer._id.toString();
     const offerObj = offer.toObject();
     offerObj.offerItems = itemsByOffer[offerId] || [];
+    offerObj.validityStatus = getOfferValidityStatus(offerObj);
     
     
     return offerObj;
@@ -448,9 +491,20 @@ const getQuotationOffers = async (quotationNumber) => {
 };
 
 // Update quotation header
-const updateQuotationHeader = async (headerId, updateData) => {
+const updateQuotationHeader = async (headerId, updateData, actorId = null, description = 'Quotation header updated') => {
   // Format data before saving
   const formattedData = formatDataForStorage(updateData);
+
+  const before = toPlainSnapshot(await QuotationHeader.findById(headerId));
+
+  // A changed customer is resolved against customer master data
+  if (before && (formattedData.customerId || formattedData.customerName)) {
+    Object.assign(formattedData, await resolveCustomer({
+      customerId: formattedData.customerId,
+      customerName: formattedData.customerName,
+      contactPerson: formattedData.contactPerson || before.contactPerson
+    }, actorId));
+  }
   
   const header = await QuotationHeader.findByIdAndUpdate(
     headerId,
@@ -461,12 +515,21 @@ const updateQuotationHeader = async (headerId, updateData) => {
   if (!header) {
     throw new Error('Quotation header not found');
   }
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    before,
+    after: header,
+    actorId,
+    description
+  });
   
   return header;
 };
 
 // Update quotation offer
-const updateQuotationOffer = async (offerId, updateData) => {
+const updateQuotationOffer = async (offerId, updateData, actorId = null) => {
   try {
     if (!offerId) {
       throw new Error('Offer ID is required for update');
@@ -480,6 +543,18 @@ const updateQuotationOffer = async (offerId, updateData) => {
     const offerItems = formattedData.offerItems || [];
     delete formattedData.offerItems; // Remove from offer data
 
+    // Snapshot current state for the audit trail
+    const existingOffer = await QuotationOffer.findById(offerId);
+    const before = toPlainSnapshot(existingOffer);
+
+    if (existingOffer && formattedData.additionalCharges) {
+      const existingHeader = await QuotationHeader.findById(existingOffer.quotationHeaderId);
+      formattedData.additionalCharges = applyChargeDefaults(existingHeader || {}, formattedData.additionalCharges);
+    }
+    const itemsBefore = offerItems.length > 0
+      ? (await OfferItem.find({ quotationOfferId: offerId }).sort({ itemNumber: 1 })).map(toPlainSnapshot)
+      : [];
+
     // Update the offer
 
     const offer = await QuotationOffer.findByIdAndUpdate(
@@ -494,6 +569,7 @@ const updateQuotationOffer = async (offerId, updateData) => {
 
 
     // Handle offer items
+    const createdItems = [];
     if (offerItems.length > 0) {
       // Delete existing offer items
       await OfferItem.deleteMany({ quotationOfferId: offerId });
@@ -516,10 +592,40 @@ const updateQuotationOffer = async (offerId, updateData) => {
           itemNumber: i + 1
         });
         await offerItem.save();
+        createdItems.push(offerItem);
       }
       
-      // Update offer totals
-      await offer.save();
+    }
+
+    // Update offer totals and tax (excludePPN may have changed)
+    await offer.save();
+
+    const header = offer.quotationHeaderId;
+    await recordAudit({
+      header,
+      entityType: 'QuotationOffer',
+      before,
+      after: offer,
+      actorId,
+      description: `Offer ${offer.offerNumber} updated`
+    });
+    for (const item of itemsBefore) {
+      await recordAudit({
+        header,
+        entityType: 'OfferItem',
+        before: item,
+        actorId,
+        description: `Item ${item.itemNumber} replaced in offer ${offer.offerNumber}`
+      });
+    }
+    for (const item of createdItems) {
+      await recordAudit({
+        header,
+        entityType: 'OfferItem',
+        after: item,
+        actorId,
+        description: `Item ${item.itemNumber} added to offer ${offer.offerNumber}`
+      });
     }
     
     return offer;
@@ -529,29 +635,505 @@ const updateQuotationOffer = async (offerId, updateData) => {
   }
 };
 
-// Delete quotation header (and all its offers)
-const deleteQuotationHeader = async (headerId) => {
-  // Delete all offers first
-  await QuotationOffer.deleteMany({ quotationHeaderId: headerId });
-  
-  // Delete header
-  const header = await QuotationHeader.findByIdAndDelete(headerId);
+// Delete quotation header (and all its offers and items)
+const deleteQuotationHeader = async (headerId, actorId = null) => {
+  const header = await QuotationHeader.findById(headerId);
   if (!header) {
     throw new Error('Quotation header not found');
   }
+
+  // Delete all offers first
+  const offers = await QuotationOffer.find({ quotationHeaderId: headerId });
+  for (const offer of offers) {
+    await deleteQuotationOffer(offer._id, actorId);
+  }
+  
+  // Delete header
+  await QuotationHeader.findByIdAndDelete(headerId);
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    before: header,
+    actorId,
+    description: 'Quotation deleted'
+  });
   
   return header;
 };
 
-// Delete quotation offer
-const deleteQuotationOffer = async (offerId) => {
-  const offer = await QuotationOffer.findByIdAndDelete(offerId);
+// Delete quotation offer (and all its items)
+const deleteQuotationOffer = async (offerId, actorId = null) => {
+  const offer = await QuotationOffer.findById(offerId).populate('quotationHeaderId');
+  if (!offer) {
+    throw new Error('Quotation offer not found');
+  }
+  const header = offer.quotationHeaderId;
+
+  const items = await OfferItem.find({ quotationOfferId: offerId });
+  await OfferItem.deleteMany({ quotationOfferId: offerId });
+  await QuotationOffer.findByIdAndDelete(offerId);
+
+  for (const item of items) {
+    await recordAudit({
+      header,
+      entityType: 'OfferItem',
+      before: item,
+      actorId,
+      description: `Item ${item.itemNumber} deleted with offer ${offer.offerNumber}`
+    });
+  }
+  await recordAudit({
+    header,
+    entityType: 'QuotationOffer',
+    before: offer,
+    actorId,
+    description: `Offer ${offer.offerNumber} deleted`
+  });
+
+  return offer;
+};
+
+// Find an offer that belongs to the given quotation
+const findOfferInQuotation = async (quotationNumber, offerId) => {
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+
+  const offer = await QuotationOffer.findOne({ _id: offerId, quotationHeaderId: header._id });
   if (!offer) {
     throw new Error('Quotation offer not found');
   }
+
+  return { header, offer };
+};
+
+// Re-save an offer so the pre-save hook recalculates its totals, and audit the change
+const recalculateOfferTotals = async (header, offer, actorId = null) => {
+  const before = toPlainSnapshot(offer);
+  await offer.save();
+  await recordAudit({
+    header,
+    entityType: 'QuotationOffer',
+    before,
+    after: offer,
+    actorId,
+    description: `Offer ${offer.offerNumber} totals recalculated`
+  });
   return offer;
 };
 
+// Create a new item for an offer
+const createOfferItem = async (quotationNumber, offerId, itemData, actorId = null) => {
+  const { header, offer } = await findOfferInQuotation(quotationNumber, offerId);
+
+  // Get the next item number
+  const existingItems = await OfferItem.find({ quotationOfferId: offer._id })
+    .sort({ itemNumber: -1 })
+    .limit(1);
+  const nextItemNumber = existingItems.length > 0 ? existingItems[0].itemNumber + 1 : 1;
+
+  const offerItem = new OfferItem({
+    ...formatDataForStorage(itemData),
+    quotationOfferId: offer._id,
+    itemNumber: nextItemNumber
+  });
+  await offerItem.save();
+
+  await recordAudit({
+    header,
+    entityType: 'OfferItem',
+    after: offerItem,
+    actorId,
+    description: `Item ${offerItem.itemNumber} added to offer ${offer.offerNumber}`
+  });
+  await recalculateOfferTotals(header, offer, actorId);
+
+  return offerItem;
+};
+
+// Update an item of an offer
+const updateOfferItem = async (quotationNumber, offerId, itemId, updateData, actorId = null) => {
+  const { header, offer } = await findOfferInQuotation(quotationNumber, offerId);
+
+  const existingItem = await OfferItem.findOne({ _id: itemId, quotationOfferId: offer._id });
+  if (!existingItem) {
+    return null;
+  }
+  const before = toPlainSnapshot(existingItem);
+
+  // Save through the document so line totals are recalculated
+  const offerItem = existingItem;
+  offerItem.set({ ...formatDataForStorage(updateData), quotationOfferId: offer._id });
+  await offerItem.save();
+
+  await recordAudit({
+    header,
+    entityType: 'OfferItem',
+    before,
+    after: offerItem,
+    actorId,
+    description: `Item ${offerItem.itemNumber} updated in offer ${offer.offerNumber}`
+  });
+  await recalculateOfferTotals(header, offer, actorId);
+
+  return offerItem;
+};
+
+// Delete an item of an offer
+const deleteOfferItem = async (quotationNumber, offerId, itemId, actorId = null) => {
+  const { header, offer } = await findOfferInQuotation(quotationNumber, offerId);
+
+  const offerItem = await OfferItem.findOneAndDelete({ _id: itemId, quotationOfferId: offer._id });
+  if (!offerItem) {
+    return null;
+  }
+
+  await recordAudit({
+    header,
+    entityType: 'OfferItem',
+    before: offerItem,
+    actorId,
+    description: `Item ${offerItem.itemNumber} deleted from offer ${offer.offerNumber}`
+  });
+  await recalculateOfferTotals(header, offer, actorId);
+
+  return offerItem;
+};
+
+// Toggle acceptance status of an offer item
+const toggleOfferItemAcceptance = async (quotationNumber, offerId, itemId, actorId = null) => {
+  const { header, offer } = await findOfferInQuotation(quotationNumber, offerId);
+
+  const offerItem = await OfferItem.findOne({ _id: itemId, quotationOfferId: offer._id });
+  if (!offerItem) {
+    return null;
+  }
+  const before = toPlainSnapshot(offerItem);
+
+  offerItem.isAccepted = !offerItem.isAccepted;
+  if (offerItem.isAccepted) {
+    offerItem.acceptedAt = new Date();
+    offerItem.acceptedBy = actorId;
+  } else {
+    offerItem.acceptedAt = undefined;
+    offerItem.acceptedBy = undefined;
+  }
+  await offerItem.save();
+
+  await recordAudit({
+    header,
+    entityType: 'OfferItem',
+    before,
+    after: offerItem,
+    actorId,
+    description: `Item ${offerItem.itemNumber} ${offerItem.isAccepted ? 'accepted' : 'unaccepted'} in offer ${offer.offerNumber}`
+  });
+  await recalculateOfferTotals(header, offer, actorId);
+
+  return offerItem;
+};
+
+// Set acceptance of items in the given offers; only selected item IDs stay accepted
+const setOfferItemsAcceptance = async (header, offerIds, selectedItemIds = [], actorId = null) => {
+  const selected = selectedItemIds.map(id => id.toString());
+
+  for (const offerId of offerIds) {
+    const offer = await QuotationOffer.findById(offerId);
+    if (!offer) continue;
+
+    const items = await OfferItem.find({ quotationOfferId: offer._id });
+    let changed = false;
+
+    for (const item of items) {
+      const isSelected = selected.includes(item._id.toString());
+      if (item.isAccepted === isSelected) continue;
+
+      const before = toPlainSnapshot(item);
+      const updatedItem = await OfferItem.findByIdAndUpdate(item._id, {
+        isAccepted: isSelected,
+        acceptedAt: isSelected ? new Date() : null,
+        acceptedBy: isSelected ? actorId : null
+      }, { new: true });
+      changed = true;
+
+      await recordAudit({
+        header,
+        entityType: 'OfferItem',
+        before,
+        after: updatedItem,
+        actorId,
+        description: `Item ${item.itemNumber} ${isSelected ? 'accepted' : 'unaccepted'} in offer ${offer.offerNumber}`
+      });
+    }
+
+    if (changed) {
+      await recalculateOfferTotals(header, offer, actorId);
+    }
+  }
+};
+
+// Customer fields that can be overridden when cloning a quotation
+const CLONE_CUSTOMER_FIELDS = ['customerId', 'customerName', 'contactPerson', 'deliveryLocation'];
+
+// Item fields copied into a cloned offer; pricing totals and acceptance are recalculated or reset
+const CLONE_ITEM_FIELDS = [
+  'karoseri', 'chassis', 'drawingSpecification', 'specifications', 'price',
+  'discountType', 'discountValue', 'netto', 'excludePPN', 'quantity', 'notes'
+];
+
+/**
+ * Clone a quotation into a new quotation with a fresh number.
+ * Status, acceptance, approval, validity and follow-ups start over.
+ * @param {string} quotationNumber - Source quotation number
+ * @param {Object} [options]
+ * @param {string[]} [options.offerIds] - Offers to copy (default: latest revision of every offer)
+ * @param {Object} [options.customer] - Overrides for customerId, customerName, contactPerson, deliveryLocation
+ * @param {string} [actorId] - User cloning the quotation; becomes the creator of the copy
+ */
+const cloneQuotation = async (quotationNumber, { offerIds = null, customer = {} } = {}, actorId = null) => {
+  const source = await QuotationHeader.findOne({ quotationNumber });
+  if (!source) {
+    throw new Error('Quotation header not found');
+  }
+
+  const sourceOffers = await QuotationOffer.find({ quotationHeaderId: source._id })
+    .sort({ offerNumberInQuotation: 1, revision: 1 });
+
+  let offers;
+  if (offerIds && offerIds.length > 0) {
+    const requested = offerIds.map(id => id.toString());
+    offers = sourceOffers.filter(offer => requested.includes(offer._id.toString()));
+    if (offers.length !== requested.length) {
+      throw new Error('One or more selected offers do not belong to this quotation');
+    }
+  } else {
+    // Latest revision of every offer
+    const latestByNumber = {};
+    sourceOffers.forEach(offer => {
+      latestByNumber[offer.offerNumberInQuotation] = offer;
+    });
+    offers = Object.values(latestByNumber);
+  }
+  if (offers.length === 0) {
+    throw new Error('Quotation has no offers to clone');
+  }
+
+  const headerData = {
+    requesterId: source.requesterId,
+    approverId: source.approverId,
+    creatorId: actorId || source.creatorId,
+    marketingName: source.marketingName,
+    clonedFrom: source._id
+  };
+  const sourceData = source.toObject();
+  CLONE_CUSTOMER_FIELDS.forEach(field => {
+    headerData[field] = customer[field] !== undefined ? customer[field] : sourceData[field];
+  });
+  // A new customer name without an id is matched against customer master data again
+  if (customer.customerName !== undefined && customer.customerId === undefined) {
+    delete headerData.customerId;
+  }
+
+  const header = await createQuotationHeader(headerData, actorId, `Quotation cloned from ${source.quotationNumber}`);
+
+  const clonedOffers = [];
+  for (const offer of offers) {
+    const items = await OfferItem.find({ quotationOfferId: offer._id }).sort({ itemNumber: 1 });
+    const offerItems = items.map(item => {
+      const itemData = {};
+      CLONE_ITEM_FIELDS.forEach(field => {
+        if (item[field] !== undefined) itemData[field] = item[field];
+      });
+      itemData.specifications = (item.specifications || []).map(spec => ({
+        category: spec.category,
+        items: (spec.items || []).map(({ name, specification }) => ({ name, specification }))
+      }));
+      return itemData;
+    });
+
+    const cloned = await createQuotationOffer(header.quotationNumber, {
+      currency: offer.currency,
+      excludePPN: offer.excludePPN,
+      additionalCharges: (offer.additionalCharges || []).map(({ type, description, amount }) => ({ type, description, amount })),
+      notes: offer.notes,
+      notesImages: offer.notesImages || [],
+      offerItems
+    }, actorId, `Offer cloned from ${offer.offerNumber}`);
+    clonedOffers.push(cloned);
+  }
+
+  return { header, offers: clonedOffers };
+};
+
+// Move a quotation to another status following the allowed transitions.
+// Loss and close take a reason code from the catalog, an optional note and a competitor.
+// Item acceptance only changes when an offer is won, or when a won quotation is reopened.
+const changeQuotationStatus = async (quotationNumber, {
+  status, reason = '', reasonCode = null, note = '', competitor = '', selectedOfferId = null, selectedOfferItemIds = []
+}, actorId = null) => {
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+
+  const fromStatus = header.status?.type || 'open';
+  validateStatusTransition(fromStatus, status, { reason, reasonCode, selectedOfferId });
+
+  const nextStatus = { type: status, reason: reason ? reason.trim() : '' };
+  if (['loss', 'close'].includes(status)) {
+    const catalogReason = await validateStatusReason(status, { reasonCode, competitor });
+    nextStatus.reason = catalogReason.label;
+    nextStatus.reasonCode = catalogReason.code;
+    nextStatus.reasonNote = note ? note.trim() : undefined;
+    nextStatus.competitor = competitor ? competitor.trim() : undefined;
+  }
+
+  if (status === 'win') {
+    const offer = await QuotationOffer.findOne({ _id: selectedOfferId, quotationHeaderId: header._id });
+    if (!offer) {
+      throw new Error('Selected offer does not belong to this quotation');
+    }
+    await setOfferItemsAcceptance(header, [offer._id], selectedOfferItemIds || [], actorId);
+  } else if (fromStatus === 'win' && header.selectedOfferId) {
+    await setOfferItemsAcceptance(header, [header.selectedOfferId], [], actorId);
+  }
+
+  const before = toPlainSnapshot(header);
+  const changedAt = new Date();
+  header.status = { ...nextStatus, changedAt };
+  header.lockOverride = undefined;
+  if (status === 'win') {
+    header.selectedOfferId = selectedOfferId;
+    header.selectedOfferItemIds = selectedOfferItemIds || [];
+  } else if (fromStatus === 'win') {
+    header.selectedOfferId = null;
+    header.selectedOfferItemIds = [];
+  }
+  header.statusHistory.push({
+    fromStatus,
+    toStatus: status,
+    reason: nextStatus.reason,
+    reasonCode: nextStatus.reasonCode,
+    reasonNote: nextStatus.reasonNote,
+    competitor: nextStatus.competitor,
+    selectedOfferId: status === 'win' ? selectedOfferId : undefined,
+    changedBy: actorId || undefined,
+    changedAt
+  });
+  await header.save();
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    before,
+    after: header,
+    actorId,
+    description: `Status changed from ${fromStatus} to ${status}`
+  });
+
+  // Tell the marketing owner and the creator, unless they made the change themselves
+  notifyInBackground(
+    [header.requesterId, header.creatorId].filter(userId => userId && String(userId) !== String(actorId)),
+    {
+      type: 'quotation_status_changed',
+      title: 'Quotation Status Changed',
+      description: `Quotation ${header.quotationNumber} for ${header.customerName} moved from ${fromStatus} to ${status}`
+        + (nextStatus.reason ? ` (${nextStatus.reason})` : ''),
+      entityType: 'QuotationHeader',
+      entityId: header._id,
+      entityNumber: header.quotationNumber,
+      emailData: { status }
+    }
+  );
+
+  return header;
+};
+
+// Allow edits on a locked (won, lost or closed) quotation until its next status change
+const unlockQuotation = async (quotationNumber, reason, actorId = null) => {
+  if (!reason || !reason.trim()) {
+    throw new Error('Reason is required to unlock a quotation');
+  }
+
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+  if (!isQuotationLocked(header)) {
+    throw new Error('Quotation is not locked');
+  }
+
+  const before = toPlainSnapshot(header);
+  header.lockOverride = { unlockedBy: actorId || undefined, unlockedAt: new Date(), reason: reason.trim() };
+  await header.save();
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    before,
+    after: header,
+    actorId,
+    description: `Quotation unlocked: ${reason.trim()}`
+  });
+
+  return header;
+};
+
+// Remove an admin unlock so the quotation is locked again
+const lockQuotation = async (quotationNumber, actorId = null) => {
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+  if (!header.lockOverride?.unlockedAt) {
+    throw new Error('Quotation has not been unlocked');
+  }
+
+  const before = toPlainSnapshot(header);
+  header.lockOverride = undefined;
+  await header.save();
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationHeader',
+    before,
+    after: header,
+    actorId,
+    description: 'Quotation locked again'
+  });
+
+  return header;
+};
+
+// Status history of a quotation with the time spent in each status
+const getQuotationStatusHistory = async (quotationNumber) => {
+  const header = await QuotationHeader.findOne({ quotationNumber })
+    .populate('statusHistory.changedBy', 'fullName email');
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+
+  const history = header.statusHistory.map(entry => entry.toObject());
+  // Quotations created before the history existed start in their first known status
+  if (history.length === 0 || history[0].fromStatus) {
+    history.unshift({
+      fromStatus: null,
+      toStatus: history.length > 0 ? history[0].fromStatus : (header.status?.type || 'open'),
+      changedAt: header.createdAt
+    });
+  }
+
+  const currentStatus = header.status?.type || 'open';
+  return {
+    quotationNumber: header.quotationNumber,
+    currentStatus,
+    allowedTransitions: getAllowedTransitions(currentStatus),
+    history: withStatusDurations(history)
+  };
+};
+
 // Get quotations with pagination and filters
 const getQuotations = async (filters = {}, pagination = { page: 1, limit: 10 }) => {
   const { page, limit } = pagination;
@@ -583,6 +1165,9 @@ const getQuotations = async (filters = {}, pagination = { page: 1, limit: 10 })
   if (filters.customer) {
     headerQuery.customerName = new RegExp(filters.customer, 'i');
   }
+  if (filters.customerId) {
+    headerQuery.customerId = filters.customerId;
+  }
   if (filters.marketing) {
     headerQuery.marketingName = new RegExp(filters.marketing, 'i');
   }
@@ -651,8 +1236,18 @@ const getQuotations = async (filters = {}, pagination = { page: 1, limit: 10 })
         groupedOffers = filteredGroups;
     }
 
+    // Filter offer groups by the validity of their latest revision
+    if (filters.validity) {
+      groupedOffers = groupedOffers.filter(offerGroup => {
+        const latest = offerGroup.revisions.length > 0
+          ? offerGroup.revisions[offerGroup.revisions.length - 1]
+          : offerGroup.original;
+        return latest.validityStatus === filters.validity;
+      });
+    }
+
     // If no offers match filters when searching, skip this header
-      if (filters.search && groupedOffers.length === 0) {
+      if ((filters.search || filters.validity) && groupedOffers.length === 0) {
       continue;
     }
 
@@ -686,34 +1281,40 @@ const getQuotations = async (filters = {}, pagination = { page: 1, limit: 10 })
   };
 };
 
-// Update last follow-up date for an offer
-const updateLastFollowUp = async (headerId) => {
-  const header = await QuotationHeader.findByIdAndUpdate(
-    headerId,
-    { lastFollowUpDate: new Date() },
-    { new: true }
-  );
-
-  if (!header) {
-    throw new Error('Quotation header not found');
-  }
-
-  return header;
-};
-
-// Update last follow-up date for all offers in a quotation
-const updateLastFollowUpAll = async (quotationNumber) => {
-  const header = await QuotationHeader.findOneAndUpdate(
-    { quotationNumber },
-    { lastFollowUpDate: new Date() },
-    { new: true }
-  );
+// Open quotations whose follow-up is overdue (warning or danger), grouped per recipient.
+// Recipients are the creator and the marketing owner (requester) of each quotation.
+const getFollowUpReminders = async () => {
+  const headers = await QuotationHeader.find({ 'status.type': { $in: ACTIVE_STATUSES } })
+    .populate('requesterId', 'fullName email')
+    .populate('creatorId', 'fullName email')
+    .sort({ lastFollowUpDate: 1 });
+
+  const remindersByUser = {};
+  headers.forEach(header => {
+    const followUpStatus = getFollowUpStatus(header.lastFollowUpDate);
+    if (followUpStatus.status === 'good') return;
+
+    const quotation = {
+      headerId: header._id,
+      quotationNumber: header.quotationNumber,
+      customerName: header.customerName,
+      lastFollowUpDate: header.lastFollowUpDate,
+      followUpStatus
+    };
 
-  if (!header) {
-    throw new Error('Quotation header not found');
-  }
+    [header.creatorId, header.requesterId].forEach(user => {
+      if (!user || !user._id) return;
+      const userId = user._id.toString();
+      if (!remindersByUser[userId]) {
+        remindersByUser[userId] = { user, quotations: [] };
+      }
+      if (!remindersByUser[userId].quotations.some(q => q.quotationNumber === quotation.quotationNumber)) {
+        remindersByUser[userId].quotations.push(quotation);
+      }
+    });
+  });
 
-  return header;
+  return Object.values(remindersByUser);
 };
 
 // Migration function to populate offerNumberInQuotation for existing data
@@ -777,166 +1378,794 @@ const migrateOfferNumbers = async () => {
   }
 };
 
-// Get quotation analysis data
-const getQuotationAnalysis = async ({ startDate, endDate, metric, userId, export: isExport = false }) => {
-  try {
-    // Build date filter
-    const dateFilter = {};
-    if (startDate || endDate) {
-      dateFilter.createdAt = {};
-      if (startDate) {
-        dateFilter.createdAt.$gte = new Date(startDate);
+// Users who hold the quotation_approve permission
+const getQuotationApprovers = async () => {
+  const users = await User.find({ isActive: true }).populate('permissions');
+  return users
+    .filter(user => hasPermission(user, 'quotation_approve'))
+    .map(user => ({ _id: user._id, email: user.email, fullName: user.fullName }));
+};
+
+// Notify a user about an approval of a quotation without waiting for the delivery
+const notifyApprovalUser = (user, header, type, title, description) => {
+  notifyInBackground([user._id], {
+    type,
+    title,
+    description,
+    entityType: 'QuotationHeader',
+    entityId: header._id,
+    entityNumber: header.quotationNumber
+  });
+};
+
+// Submit an offer that exceeds the discount thresholds for approval
+const submitOfferForApproval = async (quotationNumber, offerId, { approverId = null, comment = '' } = {}, actorId = null) => {
+  const { header, offer } = await findOfferInQuotation(quotationNumber, offerId);
+
+  if (!['required', 'rejected'].includes(offer.approval.status)) {
+    throw new Error(`Offer cannot be submitted for approval (status: ${offer.approval.status})`);
+  }
+
+  const approvers = await getQuotationApprovers();
+  let recipients = approvers;
+  if (approverId) {
+    const approver = approvers.find(user => user._id.toString() === approverId.toString());
+    if (!approver) {
+      throw new Error('Selected approver does not have the quotation_approve permission');
+    }
+    recipients = [approver];
+  }
+  if (recipients.length === 0) {
+    throw new Error('No user with the quotation_approve permission is available');
+  }
+
+  const before = toPlainSnapshot(offer);
+  offer.approval.status = 'pending';
+  offer.approval.assignedTo = approverId || undefined;
+  offer.approval.submittedBy = actorId || undefined;
+  offer.approval.submittedAt = new Date();
+  offer.approval.submitComment = comment;
+  offer.approval.decidedBy = undefined;
+  offer.approval.decidedAt = undefined;
+  offer.approval.decisionComment = undefined;
+  await offer.save();
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationOffer',
+    before,
+    after: offer,
+    actorId,
+    description: `Offer ${offer.offerNumber} submitted for approval`
+  });
+  if (approverId && (!header.approverId || header.approverId.toString() !== approverId.toString())) {
+    await updateQuotationHeader(header._id, { approverId }, actorId, 'Approver assigned');
+  }
+
+  for (const recipient of recipients) {
+    notifyApprovalUser(
+      recipient,
+      header,
+      'offer_approval_requested',
+      'Offer approval requested',
+      `Offer ${offer.offerNumber} for ${header.customerName} needs approval: ${offer.approval.reasons.join('; ')}`
+    );
+  }
+
+  return offer;
+};
+
+// Approve or reject an offer that is pending approval
+const decideOfferApproval = async (quotationNumber, offerId, decision, comment = '', actorId = null) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new Error('Decision must be approved or rejected');
+  }
+  if (decision === 'rejected' && !comment) {
+    throw new Error('A comment is required when rejecting an offer');
+  }
+
+  const { header, offer } = await findOfferInQuotation(quotationNumber, offerId);
+  if (offer.approval.status !== 'pending') {
+    throw new Error(`Offer is not pending approval (status: ${offer.approval.status})`);
+  }
+  if (offer.approval.submittedBy && actorId && offer.approval.submittedBy.toString() === actorId.toString()) {
+    throw new Error('You cannot decide on an offer you submitted');
+  }
+  // An offer submitted to a specific approver can only be decided by that approver or an admin
+  if (offer.approval.assignedTo && actorId && offer.approval.assignedTo.toString() !== actorId.toString()) {
+    const actor = await User.findById(actorId).populate('permissions');
+    if (!actor || !hasPermission(actor, 'admin')) {
+      throw new Error('This offer was submitted to another approver');
+    }
+  }
+
+  const before = toPlainSnapshot(offer);
+  offer.approval.status = decision;
+  offer.approval.decidedBy = actorId || undefined;
+  offer.approval.decidedAt = new Date();
+  offer.approval.decisionComment = comment;
+  await offer.save();
+
+  await recordAudit({
+    header,
+    entityType: 'QuotationOffer',
+    before,
+    after: offer,
+    actorId,
+    description: `Offer ${offer.offerNumber} ${decision}`
+  });
+
+  if (offer.approval.submittedBy) {
+      const submitter = await User.findById(offer.approval.submittedBy).select('email fullName');
+    if (submitter) {
+      notifyApprovalUser(
+        submitter,
+        header,
+        decision === 'approved' ? 'offer_approved' : 'offer_rejected',
+        decision === 'approved' ? 'Offer approved' : 'Offer rejected',
+        `Offer ${offer.offerNumber} for ${header.customerName} was ${decision}${comment ? `: ${comment}` : ''}`
+      );
+    }
+  }
+
+  return offer;
+};
+
+// Offers waiting for approval, optionally only those assigned to (or open to) a user
+const getPendingApprovals = async (userId = null) => {
+  const query = { 'approval.status': 'pending' };
+  if (userId) {
+    query.$or = [
+      { 'approval.assignedTo': userId },
+      { 'approval.assignedTo': { $exists: false } },
+      { 'approval.assignedTo': null }
+    ];
+  }
+
+  return await QuotationOffer.find(query)
+    .populate('quotationHeaderId', 'quotationNumber customerName marketingName')
+    .populate('approval.submittedBy', 'fullName email')
+    .sort({ 'approval.submittedAt': 1 });
+};
+
+// Mark offers of open quotations whose validUntil has passed as expired.
+// Returns { expired: [{ offer, header }], failed: [{ offerNumber, quotationNumber, error }] }
+const expireOffers = async (now = new Date()) => {
+  const offers = await QuotationOffer.find({
+    isExpired: false,
+    validUntil: { $lt: now }
+  }).populate('quotationHeaderId');
+
+  const expired = [];
+  const failed = [];
+  for (const offer of offers) {
+    const header = offer.quotationHeaderId;
+    if (!header || !ACTIVE_STATUSES.includes(header.status?.type || 'open')) continue;
+
+    // One offer that cannot be saved must not stop the others from expiring
+    try {
+      const before = toPlainSnapshot(offer);
+      offer.isExpired = true;
+      offer.expiredAt = now;
+      await offer.save();
+
+      await recordAudit({
+        header,
+        entityType: 'QuotationOffer',
+        before,
+        after: offer,
+        description: `Offer ${offer.offerNumber} expired`
+      });
+      expired.push({ offer, header });
+    } catch (error) {
+      console.error(`Error expiring offer ${offer.offerNumber}:`, error);
+      failed.push({ offerNumber: offer.offerNumber, quotationNumber: header.quotationNumber, error: error.message });
+    }
+  }
+
+  return { expired, failed };
+};
+
+// Extend the validity of an offer by creating a revision with the new validUntil
+const extendOfferValidity = async (quotationNumber, offerId, validUntil, actorId = null) => {
+  const { offer } = await findOfferInQuotation(quotationNumber, offerId);
+
+  const newValidUntil = new Date(validUntil);
+  if (isNaN(newValidUntil.getTime())) {
+    throw new Error('A valid validUntil date is required');
+  }
+  if (newValidUntil <= new Date()) {
+    throw new Error('validUntil must be in the future');
+  }
+  if (offer.validUntil && newValidUntil <= offer.validUntil) {
+    throw new Error('validUntil must be later than the current validity date');
+  }
+
+  const offerItems = (await OfferItem.find({ quotationOfferId: offer._id }).sort({ itemNumber: 1 }))
+    .map(item => {
+      const itemData = item.toObject();
+      delete itemData.isAccepted;
+      delete itemData.acceptedAt;
+      delete itemData.acceptedBy;
+      return itemData;
+    });
+
+  const previousValidUntil = offer.validUntil ? offer.validUntil.toISOString().split('T')[0] : 'none';
+  return await createQuotationOffer(quotationNumber, {
+    isRevision: true,
+    parentOfferId: offer._id,
+    currency: offer.currency,
+    excludePPN: offer.excludePPN,
+    additionalCharges: offer.additionalCharges.map(charge => ({
+      type: charge.type,
+      description: charge.description,
+      amount: charge.amount
+    })),
+    notes: offer.notes,
+    notesImages: [], // Copied from the parent offer by createQuotationOffer
+    validUntil: newValidUntil,
+    offerItems
+  }, actorId, `Validity of offer ${offer.offerNumber} extended from ${previousValidUntil} to ${newValidUntil.toISOString().split('T')[0]}`);
+};
+
+// Recalculate totals and PPN of every offer (pre-save hook does the calculation)
+const recalculateOfferTaxes = async () => {
+  const offers = await QuotationOffer.find({});
+  let updated = 0;
+
+  for (const offer of offers) {
+    const before = offer.grandTotal;
+    await offer.save();
+    if (before !== offer.grandTotal) {
+      updated += 1;
+    }
+  }
+
+  console.log(`Recalculated taxes for ${offers.length} offers (${updated} changed)`);
+  return { processed: offers.length, updated };
+};
+
+// Build a before/after/delta entry for a numeric field
+const numericChange = (before, after) => ({
+  before: before || 0,
+  after: after || 0,
+  delta: (after || 0) - (before || 0)
+});
+
+// Compare specification categories of two offer items
+const diffSpecifications = (baseSpecs = [], targetSpecs = []) => {
+  const toMap = (specs) => {
+    const map = {};
+    specs.forEach(spec => {
+      const items = {};
+      (spec.items || []).forEach(item => {
+        items[item.name] = item.specification;
+      });
+      map[spec.category] = items;
+    });
+    return map;
+  };
+
+  const baseMap = toMap(baseSpecs);
+  const targetMap = toMap(targetSpecs);
+  const changes = {
+    categoriesAdded: [],
+    categoriesRemoved: [],
+    itemsAdded: [],
+    itemsRemoved: [],
+    itemsChanged: []
+  };
+
+  Object.keys(targetMap).forEach(category => {
+    if (!baseMap[category]) {
+      changes.categoriesAdded.push({ category, items: targetMap[category] });
+    }
+  });
+
+  Object.keys(baseMap).forEach(category => {
+    if (!targetMap[category]) {
+      changes.categoriesRemoved.push({ category, items: baseMap[category] });
+      return;
+    }
+
+    const baseItems = baseMap[category];
+    const targetItems = targetMap[category];
+
+    Object.keys(targetItems).forEach(name => {
+      if (!(name in baseItems)) {
+        changes.itemsAdded.push({ category, name, specification: targetItems[name] });
+      } else if (baseItems[name] !== targetItems[name]) {
+        changes.itemsChanged.push({ category, name, before: baseItems[name], after: targetItems[name] });
       }
-      if (endDate) {
-        dateFilter.createdAt.$lte = new Date(endDate + 'T23:59:59.999Z');
+    });
+
+    Object.keys(baseItems).forEach(name => {
+      if (!(name in targetItems)) {
+        changes.itemsRemoved.push({ category, name, specification: baseItems[name] });
       }
+    });
+  });
+
+  const hasChanges = Object.values(changes).some(list => list.length > 0);
+  return hasChanges ? changes : null;
+};
+
+// Compare two offer items that represent the same product line
+const diffOfferItems = (baseItem, targetItem) => {
+  const changes = {};
+
+  ['price', 'discountValue', 'netto', 'quantity', 'lineTotal', 'lineNetto', 'ppnAmount', 'grandTotal'].forEach(field => {
+    if ((baseItem[field] || 0) !== (targetItem[field] || 0)) {
+      changes[field] = numericChange(baseItem[field], targetItem[field]);
     }
+  });
 
-    // Get all quotations for all users (headers only)
-    const quotations = await QuotationHeader.find({
-      ...dateFilter
-    });
+  ['discountType', 'excludePPN', 'notes'].forEach(field => {
+    if ((baseItem[field] ?? null) !== (targetItem[field] ?? null)) {
+      changes[field] = { before: baseItem[field] ?? null, after: targetItem[field] ?? null };
+    }
+  });
 
+  const baseDrawing = baseItem.drawingSpecification ? baseItem.drawingSpecification.toString() : null;
+  const targetDrawing = targetItem.drawingSpecification ? targetItem.drawingSpecification.toString() : null;
+  if (baseDrawing !== targetDrawing) {
+    changes.drawingSpecification = { before: baseDrawing, after: targetDrawing };
+  }
 
-    // Calculate basic metrics (counts only)
-    const totalQuotations = quotations.length;
+  const specificationChanges = diffSpecifications(baseItem.specifications, targetItem.specifications);
+  if (specificationChanges) {
+    changes.specifications = specificationChanges;
+  }
 
-    // Calculate rates
-    const wonQuotations = quotations.filter(q => q.status?.type === 'win');
-    const lostQuotations = quotations.filter(q => q.status?.type === 'loss');
-    const closedQuotations = quotations.filter(q => q.status?.type === 'close');
-    
-    const winRate = totalQuotations > 0 ? Math.round((wonQuotations.length / totalQuotations) * 100) : 0;
-    const lossRate = totalQuotations > 0 ? Math.round((lostQuotations.length / totalQuotations) * 100) : 0;
-    const closeRate = totalQuotations > 0 ? Math.round((closedQuotations.length / totalQuotations) * 100) : 0;
-
-    // Detailed status breakdown (counts only)
-    const statusBreakdown = {
-      open: { count: 0 },
-      win: { count: 0 },
-      loss: { count: 0 },
-      close: { count: 0 }
-    };
+  return changes;
+};
+
+// Summarize an offer item for diff output
+const summarizeOfferItem = (item) => ({
+  _id: item._id,
+  itemNumber: item.itemNumber,
+  karoseri: item.karoseri,
+  chassis: item.chassis,
+  price: item.price,
+  discountType: item.discountType,
+  discountValue: item.discountValue,
+  netto: item.netto,
+  quantity: item.quantity,
+  lineNetto: item.lineNetto,
+  grandTotal: item.grandTotal
+});
+
+// Compare an offer with its parent revision or another revision of the same offer
+const compareOfferRevisions = async (quotationNumber, offerId, compareToOfferId = null) => {
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
 
-    quotations.forEach(q => {
-      const status = q.status?.type || 'open';
-      statusBreakdown[status].count += 1;
+  const targetOffer = await QuotationOffer.findOne({ _id: offerId, quotationHeaderId: header._id });
+  if (!targetOffer) {
+    throw new Error('Quotation offer not found');
+  }
+
+  const baseOfferId = compareToOfferId || targetOffer.parentQuotationId;
+  if (!baseOfferId) {
+    throw new Error('Offer has no parent revision to compare with');
+  }
+
+  const baseOffer = await QuotationOffer.findOne({ _id: baseOfferId, quotationHeaderId: header._id });
+  if (!baseOffer) {
+    throw new Error('Offer to compare with not found');
+  }
+
+  if (baseOffer.offerNumberInQuotation !== targetOffer.offerNumberInQuotation) {
+    throw new Error('Offers must belong to the same revision chain');
+  }
+
+  const [baseItems, targetItems] = await Promise.all([
+    OfferItem.find({ quotationOfferId: baseOffer._id }).sort({ itemNumber: 1 }),
+    OfferItem.find({ quotationOfferId: targetOffer._id }).sort({ itemNumber: 1 })
+  ]);
+
+  // Items are recreated on every revision, so match them by product (karoseri + chassis)
+  const itemKey = (item) => `${item.karoseri}|${item.chassis}`;
+  const unmatchedBase = {};
+  baseItems.forEach(item => {
+    const key = itemKey(item);
+    if (!unmatchedBase[key]) unmatchedBase[key] = [];
+    unmatchedBase[key].push(item);
+  });
+
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  targetItems.forEach(targetItem => {
+    const candidates = unmatchedBase[itemKey(targetItem)];
+    const baseItem = candidates && candidates.shift();
+    if (!baseItem) {
+      added.push(summarizeOfferItem(targetItem));
+      return;
+    }
+
+    const changes = diffOfferItems(baseItem, targetItem);
+    if (Object.keys(changes).length > 0) {
+      changed.push({
+        karoseri: targetItem.karoseri,
+        chassis: targetItem.chassis,
+        baseItemId: baseItem._id,
+        targetItemId: targetItem._id,
+        itemNumber: { before: baseItem.itemNumber, after: targetItem.itemNumber },
+        changes
+      });
+    } else {
+      unchangedCount += 1;
+    }
+  });
+
+  const removed = Object.values(unmatchedBase)
+    .flat()
+    .map(summarizeOfferItem);
+
+  const offerChanges = {};
+  if ((baseOffer.currency || '') !== (targetOffer.currency || '')) {
+    offerChanges.currency = { before: baseOffer.currency, after: targetOffer.currency };
+  }
+  if (baseOffer.excludePPN !== targetOffer.excludePPN) {
+    offerChanges.excludePPN = { before: baseOffer.excludePPN, after: targetOffer.excludePPN };
+  }
+  const describeCharges = (charges = []) => charges.map(charge => ({
+    type: charge.type,
+    description: charge.description || '',
+    amount: charge.amount
+  }));
+  const baseCharges = describeCharges(baseOffer.additionalCharges);
+  const targetCharges = describeCharges(targetOffer.additionalCharges);
+  if (JSON.stringify(baseCharges) !== JSON.stringify(targetCharges)) {
+    offerChanges.additionalCharges = { before: baseCharges, after: targetCharges };
+  }
+  if ((baseOffer.notes || '') !== (targetOffer.notes || '')) {
+    offerChanges.notes = { before: baseOffer.notes || '', after: targetOffer.notes || '' };
+  }
+  const baseImages = (baseOffer.notesImages || []).map(id => id.toString());
+  const targetImages = (targetOffer.notesImages || []).map(id => id.toString());
+  const imagesAdded = targetImages.filter(id => !baseImages.includes(id));
+  const imagesRemoved = baseImages.filter(id => !targetImages.includes(id));
+  if (imagesAdded.length > 0 || imagesRemoved.length > 0) {
+    offerChanges.notesImages = { added: imagesAdded, removed: imagesRemoved };
+  }
+
+  const describeOffer = (offer) => ({
+    _id: offer._id,
+    offerNumber: offer.offerNumber,
+    revision: offer.revision,
+    createdAt: offer.createdAt
+  });
+
+  return {
+    base: describeOffer(baseOffer),
+    target: describeOffer(targetOffer),
+    totals: {
+      totalPrice: numericChange(baseOffer.totalPrice, targetOffer.totalPrice),
+      totalDiscount: numericChange(baseOffer.totalDiscount, targetOffer.totalDiscount),
+      totalNetto: numericChange(baseOffer.totalNetto, targetOffer.totalNetto),
+      totalDPP: numericChange(baseOffer.totalDPP, targetOffer.totalDPP),
+      totalPPN: numericChange(baseOffer.totalPPN, targetOffer.totalPPN),
+      totalCharges: numericChange(baseOffer.totalCharges, targetOffer.totalCharges),
+      totalAdditionalDiscount: numericChange(baseOffer.totalAdditionalDiscount, targetOffer.totalAdditionalDiscount),
+      grandTotal: numericChange(baseOffer.grandTotal, targetOffer.grandTotal)
+    },
+    offerChanges,
+    items: {
+      added,
+      removed,
+      changed,
+      unchangedCount
+    }
+  };
+};
+
+// Offer that represents each quotation's value: the selected offer, otherwise the latest one.
+// Returns plain offers keyed by header id.
+const getValueOffersByHeader = async (headers) => {
+  const offers = await QuotationOffer.find({ quotationHeaderId: { $in: headers.map(q => q._id) } })
+    .select('quotationHeaderId offerNumber currency baseTotals grandTotal createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const valueOfferByHeader = {};
+  offers.forEach(offer => {
+    valueOfferByHeader[offer.quotationHeaderId.toString()] = offer;
+  });
+  headers.forEach(q => {
+    if (q.selectedOfferId) {
+      const selected = offers.find(offer => offer._id.toString() === q.selectedOfferId.toString());
+      if (selected) valueOfferByHeader[q._id.toString()] = selected;
+    }
+  });
+  return valueOfferByHeader;
+};
+
+// Get quotation analysis data. Everything is computed with aggregation pipelines over the whole
+// period, joined to offers and items for values in the base currency.
+const getQuotationAnalysis = async ({ startDate, endDate, metric, userId, export: isExport = false }) => {
+  try {
+    const now = new Date();
+    // Follow-up buckets: more than 7 days since the last follow-up is overdue, more than 3 a warning
+    const overdueBefore = new Date(now.getTime() - (8 * 24 * 60 * 60 * 1000));
+    const warningBefore = new Date(now.getTime() - (4 * 24 * 60 * 60 * 1000));
+    const sumOf = (field) => ({ $sum: { $ifNull: [field, 0] } });
+
+    const [facets] = await QuotationHeader.aggregate([
+      { $match: buildCreatedAtFilter(startDate, endDate) },
+      {
+        $project: {
+          quotationNumber: 1,
+          customerId: 1,
+          customerName: 1,
+          status: 1,
+          selectedOfferId: 1,
+          selectedOfferItemIds: 1,
+          lastFollowUpDate: 1,
+          createdAt: 1,
+          updatedAt: 1
+        }
+      },
+      ...quotationValueStages(),
+      {
+        $facet: {
+          byStatus: [
+            {
+              $group: {
+                _id: '$statusType',
+                count: { $sum: 1 },
+                valuedCount: { $sum: { $cond: [{ $gt: ['$quotedValue', 0] }, 1, 0] } },
+                quotedValue: { $sum: '$quotedValue' },
+                wonValue: { $sum: '$wonValue' },
+                totalNetto: sumOf('$valueOffer.baseTotals.totalNetto'),
+                totalDPP: sumOf('$valueOffer.baseTotals.totalDPP'),
+                totalPPN: sumOf('$valueOffer.baseTotals.totalPPN'),
+                grandTotal: sumOf('$valueOffer.baseTotals.grandTotal')
+              }
+            }
+          ],
+          monthly: [
+            {
+              $group: {
+                _id: {
+                  month: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone: REPORTING_TIMEZONE } },
+                  status: '$statusType'
+                },
+                count: { $sum: 1 },
+                quotedValue: { $sum: '$quotedValue' },
+                wonValue: { $sum: '$wonValue' },
+                totalPPN: sumOf('$valueOffer.baseTotals.totalPPN')
+              }
+            }
+          ],
+          reasons: [
+            { $match: { statusType: { $in: ['loss', 'close'] } } },
+            {
+              $group: {
+                _id: { status: '$statusType', code: { $ifNull: ['$status.reasonCode', UNCATEGORIZED_CODE] } },
+                label: { $last: '$status.reason' },
+                count: { $sum: 1 },
+                quotedValue: { $sum: '$quotedValue' }
+              }
+            },
+            { $sort: { count: -1 } }
+          ],
+          lossCompetitors: [
+            { $match: { statusType: 'loss', 'status.competitor': { $nin: [null, ''] } } },
+            {
+              $group: {
+                _id: { $toUpper: { $trim: { input: '$status.competitor' } } },
+                count: { $sum: 1 },
+                quotedValue: { $sum: '$quotedValue' }
+              }
+            },
+            { $sort: { count: -1 } }
+          ],
+          // Grouped by customer master data when linked, otherwise by the free-text name
+          topCustomers: [
+            {
+              $group: {
+                _id: { customer: { $ifNull: ['$customerId', { $ifNull: ['$customerName', 'Unknown'] }] }, status: '$statusType' },
+                customerId: { $first: '$customerId' },
+                customerName: { $first: '$customerName' },
+                count: { $sum: 1 },
+                quotedValue: { $sum: '$quotedValue' },
+                wonValue: { $sum: '$wonValue' }
+              }
+            },
+            {
+              $group: {
+                _id: '$_id.customer',
+                customerId: { $first: '$customerId' },
+                customerName: { $first: '$customerName' },
+                quotations: { $sum: '$count' },
+                quotedValue: { $sum: '$quotedValue' },
+                wonValue: { $sum: '$wonValue' },
+                statusCounts: { $push: { status: '$_id.status', count: '$count' } }
+              }
+            },
+            { $sort: { quotations: -1, quotedValue: -1 } },
+            { $limit: 5 }
+          ],
+          followUp: [
+            { $match: { statusType: { $in: ACTIVE_STATUSES } } },
+            {
+              $group: {
+                _id: {
+                  $switch: {
+                    branches: [
+                      { case: { $not: ['$lastFollowUpDate'] }, then: 'notFollowedUp' },
+                      { case: { $lte: ['$lastFollowUpDate', overdueBefore] }, then: 'notFollowedUp' },
+                      { case: { $lte: ['$lastFollowUpDate', warningBefore] }, then: 'mediumWarning' }
+                    ],
+                    default: 'upToDate'
+                  }
+                },
+                count: { $sum: 1 }
+              }
+            }
+          ],
+          recentActivity: [
+            { $sort: { updatedAt: -1 } },
+            { $limit: 10 },
+            { $project: { quotationNumber: 1, customerName: 1, statusType: 1, updatedAt: 1 } }
+          ],
+          firstCreatedAt: [
+            { $group: { _id: null, createdAt: { $min: '$createdAt' } } }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    // Status breakdown with values, and the financial summary (DPP, PPN and grand total) per status
+    const emptyTotals = () => ({ totalNetto: 0, totalDPP: 0, totalPPN: 0, grandTotal: 0 });
+    const financialSummary = {
+      currency: BASE_CURRENCY,
+      ...emptyTotals(),
+      byStatus: Object.fromEntries(QUOTATION_STATUSES.map(status => [status, emptyTotals()]))
+    };
+    const statusBreakdown = Object.fromEntries(QUOTATION_STATUSES.map(status => [status, { count: 0, value: 0 }]));
+    const valueSummary = {
+      currency: BASE_CURRENCY,
+      quotedValue: 0,
+      wonValue: 0,
+      averageDealSize: 0,
+      averageWonDealSize: 0,
+      pipelineValue: 0,
+      pipelineByStatus: Object.fromEntries(ACTIVE_STATUSES.map(status => [status, { count: 0, value: 0 }]))
+    };
+    let totalQuotations = 0;
+    let valuedQuotations = 0;
+
+    facets.byStatus.forEach(group => {
+      const status = group._id;
+      totalQuotations += group.count;
+      valuedQuotations += group.valuedCount;
+      statusBreakdown[status] = { count: group.count, value: group.quotedValue };
+      ['totalNetto', 'totalDPP', 'totalPPN', 'grandTotal'].forEach(field => {
+        financialSummary[field] += group[field];
+        financialSummary.byStatus[status][field] = group[field];
+      });
+      valueSummary.quotedValue += group.quotedValue;
+      valueSummary.wonValue += group.wonValue;
+      if (ACTIVE_STATUSES.includes(status)) {
+        valueSummary.pipelineValue += group.quotedValue;
+        valueSummary.pipelineByStatus[status] = { count: group.count, value: group.quotedValue };
+      }
     });
 
-    // Reason analytics for loss and close (counts only)
+    // Average deal size counts only quotations that have an offer
+    valueSummary.averageDealSize = valuedQuotations > 0 ? Math.round(valueSummary.quotedValue / valuedQuotations) : 0;
+    const wonCount = statusBreakdown.win.count;
+    valueSummary.averageWonDealSize = wonCount > 0 ? Math.round(valueSummary.wonValue / wonCount) : 0;
+
+    // Calculate rates
+    const rate = (count) => totalQuotations > 0 ? Math.round((count / totalQuotations) * 100) : 0;
+    const winRate = rate(statusBreakdown.win.count);
+    const lossRate = rate(statusBreakdown.loss.count);
+    const closeRate = rate(statusBreakdown.close.count);
+
+    // Reason analytics for loss and close, grouped by catalog reason code.
+    // Reasons recorded as free text before the catalog existed count as uncategorized.
     const reasonAnalytics = {
       loss: {},
       close: {}
     };
+    facets.reasons.forEach(group => {
+      const { status, code } = group._id;
+      reasonAnalytics[status][code] = {
+        code,
+        label: code === UNCATEGORIZED_CODE ? 'Uncategorized' : group.label,
+        count: group.count,
+        value: group.quotedValue
+      };
+    });
 
-    quotations.forEach(q => {
-      const status = q.status?.type;
-      const reason = q.status?.reason;
-      
-      if ((status === 'loss' || status === 'close') && reason) {
-        if (!reasonAnalytics[status][reason]) {
-          reasonAnalytics[status][reason] = { count: 0 };
-        }
-        reasonAnalytics[status][reason].count += 1;
+    // Monthly stats for every month of the period (at least the last 12 months when no start date is given)
+    const monthlyGroups = {};
+    facets.monthly.forEach(group => {
+      const key = group._id.month;
+      if (!monthlyGroups[key]) {
+        monthlyGroups[key] = {
+          count: 0,
+          quotedValue: 0,
+          wonValue: 0,
+          totalPPN: 0,
+          statusBreakdown: Object.fromEntries(QUOTATION_STATUSES.map(status => [status, 0]))
+        };
       }
+      monthlyGroups[key].count += group.count;
+      monthlyGroups[key].quotedValue += group.quotedValue;
+      monthlyGroups[key].wonValue += group.wonValue;
+      monthlyGroups[key].totalPPN += group.totalPPN;
+      monthlyGroups[key].statusBreakdown[group._id.status] = group.count;
     });
 
-    // Monthly stats (last 12 months) - counts only
-    const monthlyStats = [];
-    const now = new Date();
-    for (let i = 11; i >= 0; i--) {
-      const month = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const nextMonth = new Date(now.getFullYear(), now.getMonth() - i + 1, 1);
-      
-      const monthQuotations = quotations.filter(q => 
-        q.createdAt >= month && q.createdAt < nextMonth
-      );
+    const lastMonthKey = toMonthKey(endDate ? new Date(endDate + 'T00:00:00.000Z') : now);
+    let firstMonthKey;
+    if (startDate) {
+      firstMonthKey = toMonthKey(new Date(startDate));
+    } else {
+      const twelveMonthsKey = toMonthKey(new Date(now.getFullYear(), now.getMonth() - 11, 15));
+      const firstCreatedAt = facets.firstCreatedAt[0]?.createdAt;
+      const firstDataKey = firstCreatedAt ? toMonthKey(firstCreatedAt) : twelveMonthsKey;
+      firstMonthKey = firstDataKey < twelveMonthsKey ? firstDataKey : twelveMonthsKey;
+    }
 
-      // Monthly status breakdown
-      const monthStatusBreakdown = {
-        open: 0, win: 0, loss: 0, close: 0
+    const monthlyStats = monthKeysBetween(firstMonthKey, lastMonthKey).map(key => {
+      const group = monthlyGroups[key];
+      return {
+        monthKey: key,
+        month: formatMonthKey(key),
+        count: group ? group.count : 0,
+        grandTotal: group ? group.quotedValue : 0,
+        wonValue: group ? group.wonValue : 0,
+        totalPPN: group ? group.totalPPN : 0,
+        statusBreakdown: group ? group.statusBreakdown : Object.fromEntries(QUOTATION_STATUSES.map(status => [status, 0]))
       };
-      monthQuotations.forEach(q => {
-        const status = q.status?.type || 'open';
-        monthStatusBreakdown[status] += 1;
-      });
+    });
 
-      monthlyStats.push({
-        month: month.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-        count: monthQuotations.length,
-        statusBreakdown: monthStatusBreakdown
+    // Top customers (by count), with the customer master data name when linked
+    const linkedCustomers = await Customer.find({ _id: { $in: facets.topCustomers.map(c => c.customerId).filter(Boolean) } })
+      .select('legalName')
+      .lean();
+    const customerNameById = Object.fromEntries(linkedCustomers.map(c => [c._id.toString(), c.legalName]));
+    const topCustomers = facets.topCustomers.map(group => {
+      const statusCounts = Object.fromEntries(QUOTATION_STATUSES.map(status => [status, 0]));
+      group.statusCounts.forEach(({ status, count }) => {
+        statusCounts[status] = count;
       });
-    }
-
-    // Top customers (by count)
-    const customerStats = {};
-    quotations.forEach(q => {
-      const customerName = q.customerName || 'Unknown';
-      if (!customerStats[customerName]) {
-        customerStats[customerName] = {
-          name: customerName,
-          quotations: 0,
-          statusBreakdown: { open: 0, win: 0, loss: 0, close: 0 }
-        };
-      }
-      const status = q.status?.type || 'open';
-      
-      customerStats[customerName].quotations += 1;
-      customerStats[customerName].statusBreakdown[status] += 1;
+      return {
+        customerId: group.customerId || null,
+        name: (group.customerId && customerNameById[group.customerId.toString()]) || group.customerName || 'Unknown',
+        quotations: group.quotations,
+        quotedValue: group.quotedValue,
+        wonValue: group.wonValue,
+        statusBreakdown: statusCounts
+      };
     });
 
-    const topCustomers = Object.values(customerStats)
-      .sort((a, b) => b.quotations - a.quotations)
-      .slice(0, 5);
-
-    // Follow-up status analysis
+    // Follow-up status of active quotations
     const followUpStatus = {
       currentlyOpen: { count: 0 },
       notFollowedUp: { count: 0 },
       mediumWarning: { count: 0 },
       upToDate: { count: 0 }
     };
-
-    const threeDaysAgo = new Date(now.getTime() - (3 * 24 * 60 * 60 * 1000));
-    const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-
-    quotations.forEach(q => {
-      const status = q.status?.type || 'open';
-      const lastFollowUp = q.lastFollowUpDate;
-      
-      if (status === 'open') {
-        followUpStatus.currentlyOpen.count += 1;
-        
-        if (!lastFollowUp) {
-          // Never been followed up
-          followUpStatus.notFollowedUp.count += 1;
-        } else {
-          const followUpDate = new Date(lastFollowUp);
-          const daysSinceFollowUp = Math.floor((now - followUpDate) / (24 * 60 * 60 * 1000));
-          
-          if (daysSinceFollowUp > 7) {
-            // More than 7 days since last follow-up (danger)
-            followUpStatus.notFollowedUp.count += 1;
-          } else if (daysSinceFollowUp > 3) {
-            // 3-7 days since last follow-up (medium warning)
-            followUpStatus.mediumWarning.count += 1;
-          } else {
-            // Within 3 days (up to date)
-            followUpStatus.upToDate.count += 1;
-          }
-        }
-      }
+    facets.followUp.forEach(group => {
+      followUpStatus[group._id].count = group.count;
+      followUpStatus.currentlyOpen.count += group.count;
     });
 
     // Recent activity (last 10 activities)
-    const recentActivity = quotations
-      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
-      .slice(0, 10)
-      .map(q => ({
-        description: `Quotation ${q.quotationNumber} - ${q.customerName}`,
-        date: q.updatedAt.toLocaleDateString('id-ID'),
-        type: q.status?.type || 'open'
-      }));
+    const recentActivity = facets.recentActivity.map(q => ({
+      description: `Quotation ${q.quotationNumber} - ${q.customerName}`,
+      date: q.updatedAt.toLocaleDateString('id-ID'),
+      type: q.statusType
+    }));
 
     // Time period summary
     const timePeriodSummary = {
@@ -951,12 +2180,15 @@ const getQuotationAnalysis = async ({ startDate, endDate, metric, userId, export
       lossRate,
       closeRate,
       statusBreakdown,
+      valueSummary,
       reasonAnalytics,
+      lossCompetitors: facets.lossCompetitors.map(group => ({ name: group._id, count: group.count, value: group.quotedValue })),
       monthlyStats,
       topCustomers,
       recentActivity,
       timePeriodSummary,
-      followUpStatus
+      followUpStatus,
+      financialSummary
     };
   } catch (error) {
     console.error('Error in getQuotationAnalysis:', error);
@@ -966,6 +2198,7 @@ const getQuotationAnalysis = async ({ startDate, endDate, metric, userId, export
 
 module.exports = {
   generateQuotationNumber,
+  previewQuotationNumber,
   generateOfferNumber,
   formatPrice,
   getFollowUpStatus,
@@ -978,9 +2211,29 @@ module.exports = {
   updateQuotationOffer,
   deleteQuotationHeader,
   deleteQuotationOffer,
+  findOfferInQuotation,
+  createOfferItem,
+  updateOfferItem,
+  deleteOfferItem,
+  toggleOfferItemAcceptance,
+  setOfferItemsAcceptance,
+  cloneQuotation,
+  changeQuotationStatus,
+  getQuotationStatusHistory,
+  unlockQuotation,
+  lockQuotation,
   getQuotations,
-  updateLastFollowUp,
-  updateLastFollowUpAll,
+  getFollowUpReminders,
   migrateOfferNumbers,
+  recalculateOfferTaxes,
+  getOfferValidityStatus,
+  expireOffers,
+  extendOfferValidity,
+  getQuotationApprovers,
+  submitOfferForApproval,
+  decideOfferApproval,
+  getPendingApprovals,
+  compareOfferRevisions,
+  getValueOffersByHeader,
   getQuotationAnalysis
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+const PDFDocument = require('pdfkit');
+const QuotationHeader = require('../models/quotationHeader.model');
+const QuotationOffer = require('../models/quotationOffer.model');
+const OfferItem = require('../models/offerItem.model');
+const { notesImagesGridFS } = require('./gridfsHelper');
+const { formatPrice } = require('./quotationHelper');
+
+// Company branding printed on every quotation letter
+const COMPANY_NAME = process.env.COMPANY_NAME || 'PT. STM';
+const COMPANY_ADDRESS = process.env.COMPANY_ADDRESS || '';
+const COMPANY_PHONE = process.env.COMPANY_PHONE || '';
+const BRAND_COLOR = '#1e3a8a';
+
+// PDFKit can only embed JPEG and PNG images
+const EMBEDDABLE_IMAGE_TYPES = ['JPG', 'JPEG', 'PNG'];
+
+// Salutation used in the letter based on contact person gender
+const getSalutation = (gender) => {
+  if (gender === 'Male') return 'Bapak';
+  if (gender === 'Female') return 'Ibu';
+  return 'Bapak/Ibu';
+};
+
+// Format date to Indonesian long format, e.g. 5 Januari 2025
+const formatLetterDate = (date) => {
+  return new Date(date).toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+};
+
+// Format an amount with its currency, e.g. "Rp 1.000.000,00" or "USD 1.000,00"
+const formatAmount = (amount, currency = 'IDR') => {
+  const symbol = currency === 'IDR' ? 'Rp' : currency;
+  return `${symbol} ${formatPrice(amount)}`;
+};
+
+// Describe the discount of an item, e.g. "10%" or "Rp 1.000.000,00"
+const formatDiscount = (item, currency) => {
+  if (!item.discountValue) return '-';
+  if (item.discountType === 'flat') return formatAmount(item.discountValue, currency);
+  return `${item.discountValue}%`;
+};
+
+// Load offer data needed to render the letter
+const getOfferPdfData = async (quotationNumber, offerId) => {
+  const header = await QuotationHeader.findOne({ quotationNumber });
+  if (!header) {
+    throw new Error('Quotation header not found');
+  }
+
+  const offer = await QuotationOffer.findOne({ _id: offerId, quotationHeaderId: header._id })
+    .populate({
+      path: 'notesImages',
+      model: 'NotesImage'
+    });
+  if (!offer) {
+    throw new Error('Quotation offer not found');
+  }
+
+  const offerItems = await OfferItem.find({ quotationOfferId: offer._id })
+    .sort({ itemNumber: 1 });
+
+  return { header, offer, offerItems };
+};
+
+// Labels of offer-level charges on the letter
+const CHARGE_LABELS = {
+  delivery: 'Biaya Pengiriman',
+  installation: 'Biaya Pemasangan',
+  other: 'Biaya Lain-lain',
+  discount: 'Potongan Harga'
+};
+
+// Draw the letterhead at the top of the current page
+const drawLetterhead = (doc) => {
+  doc.fillColor(BRAND_COLOR).fontSize(18).font('Helvetica-Bold').text(COMPANY_NAME);
+  doc.fillColor('#333333').fontSize(9).font('Helvetica');
+  if (COMPANY_ADDRESS) doc.text(COMPANY_ADDRESS);
+  if (COMPANY_PHONE) doc.text(`Telp: ${COMPANY_PHONE}`);
+  doc.moveDown(0.5);
+  doc.strokeColor(BRAND_COLOR).lineWidth(2)
+    .moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .stroke();
+  doc.moveDown(1);
+};
+
+// Draw a single offer item block (product, specifications and pricing)
+const drawOfferItem = (doc, item, currency) => {
+  doc.fillColor(BRAND_COLOR).fontSize(11).font('Helvetica-Bold')
+    .text(`${item.itemNumber}. ${item.karoseri} - ${item.chassis}`);
+  doc.fillColor('#000000').fontSize(9).font('Helvetica');
+
+  (item.specifications || []).forEach(spec => {
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').text(spec.category);
+    doc.font('Helvetica');
+    (spec.items || []).forEach(specItem => {
+      doc.text(`- ${specItem.name}: ${specItem.specification}`, { indent: 10 });
+    });
+  });
+
+  doc.moveDown(0.5);
+  doc.text(`Jumlah: ${item.quantity || 1} unit`);
+  doc.text(`Harga: ${formatAmount(item.price, currency)}`);
+  doc.text(`Diskon: ${formatDiscount(item, currency)}`);
+  doc.text(`Harga Netto: ${formatAmount(item.netto, currency)}`);
+  doc.font('Helvetica-Bold').text(`Jumlah Netto: ${formatAmount(item.lineNetto, currency)}`);
+  doc.font('Helvetica');
+  if (item.notes) {
+    doc.text(`Catatan: ${item.notes}`);
+  }
+  doc.moveDown(1);
+};
+
+// Draw offer notes images, skipping formats PDFKit cannot embed
+const drawNotesImages = async (doc, notesImages) => {
+  const embeddable = (notesImages || []).filter(image =>
+    image && image.imageFile && EMBEDDABLE_IMAGE_TYPES.includes(image.imageFile.fileType)
+  );
+  if (embeddable.length === 0) return;
+
+  doc.addPage();
+  drawLetterhead(doc);
+  doc.fillColor(BRAND_COLOR).fontSize(12).font('Helvetica-Bold').text('Lampiran');
+  doc.moveDown(0.5);
+
+  const maxWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  for (const image of embeddable) {
+    try {
+      const buffer = await notesImagesGridFS.getFileBuffer(image.imageFile.fileId);
+      if (doc.y + 300 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      doc.image(buffer, { fit: [maxWidth, 300], align: 'center' });
+      doc.moveDown(1);
+    } catch (error) {
+      console.error(`Failed to embed notes image ${image._id} in PDF:`, error);
+    }
+  }
+};
+
+// Render the quotation letter and resolve with the PDF buffer
+const renderOfferPdf = async ({ header, offer, offerItems }) => {
+  const currency = offer.currency || 'IDR';
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawLetterhead(doc);
+
+  // Letter meta
+  doc.fillColor('#000000').fontSize(10).font('Helvetica');
+  doc.text(`No: ${offer.offerNumber}`);
+  doc.text(`Tanggal: ${formatLetterDate(offer.createdAt || new Date())}`);
+  doc.text('Perihal: Penawaran Harga');
+  doc.moveDown(1);
+
+  // Recipient
+  doc.text('Kepada Yth.');
+  doc.font('Helvetica-Bold').text(header.customerName);
+  doc.font('Helvetica').text(`Up. ${getSalutation(header.contactPerson?.gender)} ${header.contactPerson?.name || ''}`);
+  doc.moveDown(1);
+
+  doc.text(`Dengan hormat ${getSalutation(header.contactPerson?.gender)} ${header.contactPerson?.name || ''},`);
+  doc.moveDown(0.5);
+  doc.text('Bersama surat ini kami sampaikan penawaran harga untuk kebutuhan Anda sebagai berikut:');
+  doc.moveDown(1);
+
+  offerItems.forEach(item => drawOfferItem(doc, item, currency));
+
+  // Offer summary
+  doc.fillColor(BRAND_COLOR).fontSize(11).font('Helvetica-Bold').text('Ringkasan');
+  doc.fillColor('#000000').fontSize(10).font('Helvetica');
+  doc.text(`Total Harga: ${formatAmount(offer.totalPrice, currency)}`);
+  doc.text(`Total Diskon: ${formatAmount(offer.totalDiscount, currency)}`);
+  (offer.additionalCharges || []).forEach(charge => {
+    const label = CHARGE_LABELS[charge.type] || charge.type;
+    const description = charge.description ? ` (${charge.description})` : '';
+    const sign = charge.type === 'discount' ? '-' : '';
+    doc.text(`${label}${description}: ${sign}${formatAmount(charge.amount, currency)}`);
+  });
+  doc.text(`Total Netto: ${formatAmount(offer.totalNetto, currency)}`);
+  doc.text(`DPP: ${formatAmount(offer.totalDPP, currency)}`);
+  doc.text(`PPN ${offer.ppnRate ?? ''}%: ${formatAmount(offer.totalPPN, currency)}`);
+  doc.font('Helvetica-Bold').text(`Grand Total: ${formatAmount(offer.grandTotal, currency)}`);
+  doc.font('Helvetica').text(offer.excludePPN ? 'Harga belum termasuk PPN.' : 'Harga sudah termasuk PPN.');
+  doc.moveDown(1);
+
+  if (offer.notes) {
+    doc.font('Helvetica-Bold').text('Catatan');
+    doc.font('Helvetica').text(offer.notes);
+    doc.moveDown(1);
+  }
+
+  doc.text('Demikian penawaran ini kami sampaikan. Atas perhatian dan kerja samanya kami ucapkan terima kasih.');
+  doc.moveDown(2);
+
+  // Signatory
+  doc.text('Hormat kami,');
+  doc.text(COMPANY_NAME);
+  doc.moveDown(3);
+  doc.font('Helvetica-Bold').text(header.marketingName);
+  doc.font('Helvetica').text('Marketing');
+
+  await drawNotesImages(doc, offer.notesImages);
+
+  doc.end();
+  return finished;
+};
+
+// Generate quotation letter PDF for a specific offer
+const generateOfferPdf = async (quotationNumber, offerId) => {
+  const data = await getOfferPdfData(quotationNumber, offerId);
+  const buffer = await renderOfferPdf(data);
+  const filename = `${data.offer.offerNumber.replace(/\//g, '-')}.pdf`;
+  return { buffer, filename, offer: data.offer };
+};
+
+module.exports = {
+  getSalutation,
+  generateOfferPdf
+};
@@ -0,0 +1,93 @@
+const QUOTATION_STATUSES = ['open', 'negotiation', 'win', 'loss', 'close', 'reopened'];
+
+// Statuses in which a quotation is still being worked on (follow-ups, expiry, reminders)
+const ACTIVE_STATUSES = ['open', 'negotiation', 'reopened'];
+
+// Statuses that end the sales cycle
+const FINAL_STATUSES = ['win', 'loss', 'close'];
+
+// Allowed transitions per current status
+const STATUS_TRANSITIONS = {
+  open: ['negotiation', 'win', 'loss', 'close'],
+  negotiation: ['open', 'win', 'loss', 'close'],
+  reopened: ['negotiation', 'win', 'loss', 'close'],
+  win: ['reopened'],
+  loss: ['reopened'],
+  close: ['reopened']
+};
+
+// Fields a transition into a status must provide
+const TRANSITION_REQUIREMENTS = {
+  win: ['selectedOfferId'],
+  loss: ['reasonCode'],
+  close: ['reasonCode'],
+  reopened: ['reason']
+};
+
+// Statuses a quotation may move to from its current status
+const getAllowedTransitions = (fromStatus) => STATUS_TRANSITIONS[fromStatus || 'open'] || [];
+
+/**
+ * Validate a status change; throws with a readable message when it is not allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {Object} [data] - Transition data ({ reason, reasonCode, selectedOfferId })
+ */
+const validateStatusTransition = (fromStatus, toStatus, data = {}) => {
+  if (!QUOTATION_STATUSES.includes(toStatus)) {
+    throw new Error(`Invalid status: ${toStatus}. Allowed statuses: ${QUOTATION_STATUSES.join(', ')}`);
+  }
+
+  const current = fromStatus || 'open';
+  if (current === toStatus) {
+    throw new Error(`Quotation is already ${toStatus}`);
+  }
+
+  const allowed = getAllowedTransitions(current);
+  if (!allowed.includes(toStatus)) {
+    throw new Error(`Cannot change status from ${current} to ${toStatus}. Allowed: ${allowed.join(', ') || 'none'}`);
+  }
+
+  const missing = (TRANSITION_REQUIREMENTS[toStatus] || []).filter(field => {
+    const value = data[field];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} is required when changing status to ${toStatus}`);
+  }
+};
+
+// A quotation in a final status is locked against edits unless an admin unlocked it
+const isQuotationLocked = (header) => {
+  if (!header) return false;
+  const status = header.status?.type || 'open';
+  return FINAL_STATUSES.includes(status) && !header.lockOverride?.unlockedAt;
+};
+
+// Add the time spent in each status to a status history (oldest first).
+// The last entry is the current status and is measured until now.
+const withStatusDurations = (history, now = new Date()) => {
+  const entries = [...history].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  return entries.map((entry, index) => {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : { ...entry };
+    const next = entries[index + 1];
+    const leftAt = next ? new Date(next.changedAt) : now;
+    return {
+      ...plain,
+      isCurrent: !next,
+      durationMs: leftAt - new Date(entry.changedAt)
+    };
+  });
+};
+
+module.exports = {
+  QUOTATION_STATUSES,
+  ACTIVE_STATUSES,
+  FINAL_STATUSES,
+  STATUS_TRANSITIONS,
+  TRANSITION_REQUIREMENTS,
+  getAllowedTransitions,
+  isQuotationLocked,
+  validateStatusTransition,
+  withStatusDurations
+};
@@ -1,55 +1,19 @@
 const { RFQ, RFQItem } = require('../models/rfq.model');
+const { generateDocumentNumber, findHighestSequence } = require('./numberingHelper');
+const { emitEntityChange, rfqTopic } = require('./entityEvents');
 
-// Generate RFQ number
+// Generate RFQ number, skipping numbers that already exist (e.g. after a format change)
 const generateRFQNumber = async () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1; 
-  
-  // Convert month to Roman numerals
-  const romanMonths = {
-    1: 'I', 2: 'II', 3: 'III', 4: 'IV', 5: 'V', 6: 'VI',
-    7: 'VII', 8: 'VIII', 9: 'IX', 10: 'X', 11: 'XI', 12: 'XII'
-  };
-  const romanMonth = romanMonths[month];
-  
-  // Find all RFQs for this month and year
-  const startOfMonth = new Date(year, month - 1, 1);
-  const endOfMonth = new Date(year, month, 0);
-  
-  const rfqs = await RFQ.find({
-    createdAt: {
-      $gte: startOfMonth,
-      $lte: endOfMonth
-    }
-  }, { rfqNumber: 1 });
-
-  // Extract the highest number from existing RFQ numbers for this month
-  let highestNumber = 0;
-  const rfqPattern = new RegExp(`^(\\d+)/RFQ/STM/${romanMonth}/${year}$`);
-  
-  rfqs.forEach(rfq => {
-    if (rfq.rfqNumber) {
-      const match = rfq.rfqNumber.match(rfqPattern);
-      if (match) {
-        const number = parseInt(match[1], 10);
-        if (number > highestNumber) {
-          highestNumber = number;
-        }
-      }
-    }
+  const { number: rfqNumber } = await generateDocumentNumber('rfq', {
+    // Seed the counter from RFQ numbers already issued in the period
+    seed: async ({ pattern, range }) => {
+      const query = range ? { createdAt: { $gte: range.start, $lt: range.end } } : {};
+      const rfqs = await RFQ.find(query, { rfqNumber: 1 });
+      return findHighestSequence(rfqs.map(rfq => rfq.rfqNumber), pattern);
+    },
+    isTaken: async (number) => Boolean(await RFQ.exists({ rfqNumber: number }))
   });
 
-  const nextNumber = highestNumber + 1;
-  const rfqNumber = `${nextNumber}/RFQ/STM/${romanMonth}/${year}`;
-  
-  // Double-check that this number doesn't already exist (race condition protection)
-  const existingRFQ = await RFQ.findOne({ rfqNumber });
-  if (existingRFQ) {
-    // If it exists, recursively call to get the next number
-    return await generateRFQNumber();
-  }
-  
   return rfqNumber;
 };
 
@@ -65,6 +29,7 @@ const createRFQ = async (rfqData) => {
     });
     
     await rfq.save();
+    emitEntityChange(rfqTopic(rfq._id), { entityType: 'RFQ', entityId: rfq._id, action: 'create' });
     return rfq;
   } catch (error) {
     throw new Error(`Failed to create RFQ: ${error.message}`);
@@ -155,6 +120,12 @@ const updateRFQ = async (rfqId, updateData) => {
       throw new Error('RFQ not found');
     }
     
+    emitEntityChange(rfqTopic(rfq._id), {
+      entityType: 'RFQ',
+      entityId: rfq._id,
+      action: 'update',
+      changedFields: Object.keys(updateData)
+    });
     return rfq;
   } catch (error) {
     throw new Error(`Failed to update RFQ: ${error.message}`);
@@ -170,6 +141,7 @@ const deleteRFQ = async (rfqId) => {
       throw new Error('RFQ not found');
     }
     
+    emitEntityChange(rfqTopic(rfq._id), { entityType: 'RFQ', entityId: rfq._id, action: 'delete' });
     return rfq;
   } catch (error) {
     throw new Error(`Failed to delete RFQ: ${error.message}`);
@@ -237,6 +209,7 @@ const createRFQItem = async (rfqId, itemData) => {
     });
     
     await item.save();
+    emitEntityChange(rfqTopic(rfqId), { entityType: 'RFQItem', entityId: item._id, action: 'create' });
     return item;
   } catch (error) {
     throw new Error(`Failed to create RFQ item: ${error.message}`);
@@ -267,6 +240,12 @@ const updateRFQItem = async (itemId, updateData) => {
       throw new Error('RFQ item not found');
     }
     
+    emitEntityChange(rfqTopic(item.rfqId), {
+      entityType: 'RFQItem',
+      entityId: item._id,
+      action: 'update',
+      changedFields: Object.keys(updateData)
+    });
     return item;
   } catch (error) {
     throw new Error(`Failed to update RFQ item: ${error.message}`);
@@ -291,6 +270,7 @@ const deleteRFQItem = async (itemId) => {
       }
     }
     
+    emitEntityChange(rfqTopic(item.rfqId), { entityType: 'RFQItem', entityId: item._id, action: 'delete' });
     return item;
   } catch (error) {
     throw new Error(`Failed to delete RFQ item: ${error.message}`);
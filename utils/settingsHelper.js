@@ -0,0 +1,78 @@
+const Setting = require('../models/setting.model');
+
+// Known settings with their defaults and validation
+const SETTING_DEFINITIONS = {
+  offerValidityDays: {
+    default: 30,
+    description: 'Days an offer stays valid when no validUntil is given',
+    validate: (value) => Number.isInteger(value) && value > 0 && value <= 365
+  },
+  approvalDiscountPercentThreshold: {
+    default: 10,
+    description: 'Offers with a total discount above this percentage need approval (0 = no limit)',
+    validate: (value) => typeof value === 'number' && value >= 0 && value <= 100
+  },
+  approvalDiscountAmountThreshold: {
+    default: 0,
+    description: 'Offers with a total discount above this base currency amount need approval (0 = no limit)',
+    validate: (value) => typeof value === 'number' && value >= 0
+  },
+  notificationRetentionDays: {
+    default: 10,
+    description: 'Days notifications are kept before they are deleted',
+    validate: (value) => Number.isInteger(value) && value > 0 && value <= 365
+  }
+};
+
+// Get a setting value, falling back to its default
+const getSetting = async (key) => {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : definition.default;
+};
+
+// Get all settings with their defaults and descriptions
+const getSettings = async () => {
+  const stored = await Setting.find({}).lean();
+  const storedByKey = {};
+  stored.forEach(setting => {
+    storedByKey[setting.key] = setting;
+  });
+
+  return Object.keys(SETTING_DEFINITIONS).map(key => ({
+    key,
+    value: storedByKey[key] ? storedByKey[key].value : SETTING_DEFINITIONS[key].default,
+    default: SETTING_DEFINITIONS[key].default,
+    description: SETTING_DEFINITIONS[key].description,
+    isDefault: !storedByKey[key],
+    updatedAt: storedByKey[key] ? storedByKey[key].updatedAt : null
+  }));
+};
+
+// Validate and save a setting value
+const updateSetting = async (key, value, userId) => {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  if (!definition.validate(value)) {
+    throw new Error(`Invalid value for ${key}`);
+  }
+
+  return await Setting.findOneAndUpdate(
+    { key },
+    { value, lastModifiedBy: userId },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  getSetting,
+  getSettings,
+  updateSetting
+};
@@ -0,0 +1,155 @@
+const StatusReason = require('../models/statusReason.model');
+const QuotationHeader = require('../models/quotationHeader.model');
+
+// Catalog created when no reasons exist yet
+const DEFAULT_STATUS_REASONS = [
+  { code: 'PRICE_TOO_HIGH', label: 'Price too high', appliesTo: ['loss'], sortOrder: 10 },
+  { code: 'LOST_TO_COMPETITOR', label: 'Lost to competitor', appliesTo: ['loss'], requiresCompetitor: true, sortOrder: 20 },
+  { code: 'DELIVERY_TIME', label: 'Delivery time too long', appliesTo: ['loss'], sortOrder: 30 },
+  { code: 'SPECIFICATION_MISMATCH', label: 'Specification does not match', appliesTo: ['loss'], sortOrder: 40 },
+  { code: 'PROJECT_CANCELLED', label: 'Project cancelled by customer', appliesTo: ['loss', 'close'], sortOrder: 50 },
+  { code: 'BUDGET_NOT_APPROVED', label: 'Customer budget not approved', appliesTo: ['loss', 'close'], sortOrder: 60 },
+  { code: 'NO_RESPONSE', label: 'No response from customer', appliesTo: ['close'], sortOrder: 70 },
+  { code: 'DUPLICATE', label: 'Duplicate quotation', appliesTo: ['close'], sortOrder: 80 },
+  { code: 'OTHER', label: 'Other', appliesTo: ['loss', 'close'], sortOrder: 999 }
+];
+
+// Code used in analytics for reasons recorded before the catalog existed
+const UNCATEGORIZED_CODE = 'UNCATEGORIZED';
+
+// Create the default catalog on first use
+const ensureDefaultStatusReasons = async () => {
+  if (await StatusReason.exists({})) return;
+  try {
+    await StatusReason.insertMany(DEFAULT_STATUS_REASONS, { ordered: false });
+  } catch (error) {
+    // Another request seeded the catalog first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// List reasons, optionally only those for a status and only active ones
+const getStatusReasons = async ({ status, includeInactive = false } = {}) => {
+  await ensureDefaultStatusReasons();
+  const query = {};
+  if (status) query.appliesTo = status;
+  if (!includeInactive) query.isActive = true;
+  return await StatusReason.find(query).sort({ sortOrder: 1, label: 1 });
+};
+
+// Create a reason
+const createStatusReason = async ({ code, label, appliesTo, description, requiresCompetitor, sortOrder }, userId) => {
+  if (!code || !label || !Array.isArray(appliesTo) || appliesTo.length === 0) {
+    throw new Error('Code, label and appliesTo are required');
+  }
+
+  const reason = new StatusReason({
+    code,
+    label,
+    appliesTo,
+    description,
+    requiresCompetitor: Boolean(requiresCompetitor),
+    sortOrder: sortOrder !== undefined ? Number(sortOrder) : 0,
+    createdBy: userId
+  });
+  return await reason.save();
+};
+
+// Update a reason; the code is fixed because recorded quotations refer to it
+const updateStatusReason = async (id, { label, appliesTo, description, requiresCompetitor, sortOrder, isActive }) => {
+  const update = {};
+  if (label !== undefined) update.label = label;
+  if (appliesTo !== undefined) update.appliesTo = appliesTo;
+  if (description !== undefined) update.description = description;
+  if (requiresCompetitor !== undefined) update.requiresCompetitor = Boolean(requiresCompetitor);
+  if (sortOrder !== undefined) update.sortOrder = Number(sortOrder);
+  if (isActive !== undefined) update.isActive = isActive;
+
+  const reason = await StatusReason.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+  if (!reason) {
+    throw new Error('Status reason not found');
+  }
+  return reason;
+};
+
+// Delete a reason that no quotation uses; used reasons can only be deactivated
+const deleteStatusReason = async (id) => {
+  const reason = await StatusReason.findById(id);
+  if (!reason) {
+    throw new Error('Status reason not found');
+  }
+
+  const used = await QuotationHeader.exists({
+    $or: [{ 'status.reasonCode': reason.code }, { 'statusHistory.reasonCode': reason.code }]
+  });
+  if (used) {
+    throw new Error(`Reason ${reason.code} is used by quotations; deactivate it instead`);
+  }
+
+  await reason.deleteOne();
+  return reason;
+};
+
+/**
+ * Validate a reason chosen for a loss or close
+ * @param {string} status - loss | close
+ * @param {Object} data - { reasonCode, competitor }
+ * @returns {Promise<Object>} Catalog entry
+ */
+const validateStatusReason = async (status, { reasonCode, competitor }) => {
+  await ensureDefaultStatusReasons();
+  const reason = await StatusReason.findOne({ code: String(reasonCode || '').toUpperCase(), isActive: true });
+  if (!reason) {
+    throw new Error(`Unknown or inactive reason code: ${reasonCode}`);
+  }
+  if (!reason.appliesTo.includes(status)) {
+    throw new Error(`Reason ${reason.code} cannot be used for status ${status}`);
+  }
+  if (reason.requiresCompetitor && (!competitor || !competitor.trim())) {
+    throw new Error(`Competitor is required for reason ${reason.code}`);
+  }
+  return reason;
+};
+
+// Assign reason codes to loss/close quotations recorded with free text that matches a code or label
+const migrateStatusReasons = async () => {
+  await ensureDefaultStatusReasons();
+  const reasons = await StatusReason.find({});
+  const normalize = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const codeByText = {};
+  reasons.forEach(reason => {
+    codeByText[normalize(reason.code)] = reason;
+    codeByText[normalize(reason.label)] = reason;
+  });
+
+  const headers = await QuotationHeader.find({
+    'status.type': { $in: ['loss', 'close'] },
+    'status.reasonCode': { $exists: false }
+  }).select('status');
+
+  const result = { checked: headers.length, mapped: 0, unmapped: [] };
+  for (const header of headers) {
+    const reason = codeByText[normalize(header.status.reason)];
+    if (reason && reason.appliesTo.includes(header.status.type)) {
+      const update = { 'status.reasonCode': reason.code, 'status.reason': reason.label };
+      // Keep the original wording when it differs from the catalog label
+      if (header.status.reason !== reason.label) update['status.reasonNote'] = header.status.reason;
+      await QuotationHeader.updateOne({ _id: header._id }, { $set: update });
+      result.mapped += 1;
+    } else if (header.status.reason && !result.unmapped.includes(header.status.reason)) {
+      result.unmapped.push(header.status.reason);
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  DEFAULT_STATUS_REASONS,
+  UNCATEGORIZED_CODE,
+  getStatusReasons,
+  createStatusReason,
+  updateStatusReason,
+  deleteStatusReason,
+  validateStatusReason,
+  migrateStatusReasons
+};
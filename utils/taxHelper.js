@@ -0,0 +1,140 @@
+const TaxRate = require('../models/taxRate.model');
+
+// Rates used when no rate has been configured for a date
+const DEFAULT_PPN_RATES = [
+  { rate: 10, effectiveFrom: new Date('1985-01-01T00:00:00.000Z'), description: 'PPN 10%' },
+  { rate: 11, effectiveFrom: new Date('2022-04-01T00:00:00.000Z'), description: 'PPN 11% (UU HPP)' }
+];
+
+// Round an amount to 2 decimals
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Get the PPN rate that applies on a date
+ * @param {Date} [date] - Reference date (default: now)
+ * @returns {Promise<{rate: number, effectiveFrom: Date, description: string, isDefault: boolean}>}
+ */
+const getPPNRate = async (date = new Date()) => {
+  const configured = await TaxRate.findOne({
+    taxType: 'PPN',
+    isActive: true,
+    effectiveFrom: { $lte: date }
+  }).sort({ effectiveFrom: -1 }).lean();
+
+  if (configured) {
+    return {
+      rate: configured.rate,
+      effectiveFrom: configured.effectiveFrom,
+      description: configured.description,
+      isDefault: false
+    };
+  }
+
+  const fallback = DEFAULT_PPN_RATES
+    .filter(entry => entry.effectiveFrom <= date)
+    .pop() || DEFAULT_PPN_RATES[0];
+  return { ...fallback, isDefault: true };
+};
+
+/**
+ * Calculate DPP, PPN and grand total of an amount
+ * @param {number} amount - Net amount of the item or offer
+ * @param {number} rate - PPN rate in percent
+ * @param {boolean} excludePPN - true when the amount does not include PPN yet
+ * @returns {{dpp: number, ppnAmount: number, grandTotal: number}}
+ */
+const calculateTax = (amount, rate, excludePPN) => {
+  const net = Number(amount) || 0;
+  const factor = (Number(rate) || 0) / 100;
+
+  if (excludePPN) {
+    // PPN is added on top of the amount
+    const ppnAmount = roundAmount(net * factor);
+    return { dpp: roundAmount(net), ppnAmount, grandTotal: roundAmount(net + ppnAmount) };
+  }
+
+  // Amount already includes PPN
+  const dpp = roundAmount(net / (1 + factor));
+  return { dpp, ppnAmount: roundAmount(net - dpp), grandTotal: roundAmount(net) };
+};
+
+/**
+ * Calculate tax for every line of an offer and the offer totals
+ * @param {Array} lines - Offer lines ({ _id, amount, excludePPN }); discounts have a negative amount
+ * @param {Object} options
+ * @param {number} options.rate - PPN rate in percent
+ * @param {boolean} options.excludePPN - Offer level flag; lines may also exclude PPN individually
+ */
+const calculateOfferTax = (lines, { rate, excludePPN }) => {
+  const lineTaxes = lines.map(line => ({
+    lineId: line._id,
+    ...calculateTax(line.amount, rate, excludePPN || line.excludePPN)
+  }));
+
+  return {
+    ppnRate: rate,
+    lines: lineTaxes,
+    totalDPP: Math.max(0, roundAmount(lineTaxes.reduce((sum, tax) => sum + tax.dpp, 0))),
+    totalPPN: Math.max(0, roundAmount(lineTaxes.reduce((sum, tax) => sum + tax.ppnAmount, 0))),
+    grandTotal: Math.max(0, roundAmount(lineTaxes.reduce((sum, tax) => sum + tax.grandTotal, 0)))
+  };
+};
+
+// List configured rates, newest first
+const getTaxRates = async () => {
+  const rates = await TaxRate.find({ taxType: 'PPN' })
+    .populate('createdBy', 'fullName email')
+    .sort({ effectiveFrom: -1 });
+  return { rates, defaults: DEFAULT_PPN_RATES };
+};
+
+// Create a new rate
+const createTaxRate = async ({ rate, effectiveFrom, description }, userId) => {
+  if (rate === undefined || !effectiveFrom) {
+    throw new Error('Rate and effectiveFrom are required');
+  }
+
+  const taxRate = new TaxRate({
+    rate: Number(rate),
+    effectiveFrom: new Date(effectiveFrom),
+    description,
+    createdBy: userId
+  });
+  return await taxRate.save();
+};
+
+// Update a rate
+const updateTaxRate = async (id, { rate, effectiveFrom, description, isActive }) => {
+  const update = {};
+  if (rate !== undefined) update.rate = Number(rate);
+  if (effectiveFrom !== undefined) update.effectiveFrom = new Date(effectiveFrom);
+  if (description !== undefined) update.description = description;
+  if (isActive !== undefined) update.isActive = isActive;
+
+  const taxRate = await TaxRate.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+  if (!taxRate) {
+    throw new Error('Tax rate not found');
+  }
+  return taxRate;
+};
+
+// Delete a rate
+const deleteTaxRate = async (id) => {
+  const taxRate = await TaxRate.findByIdAndDelete(id);
+  if (!taxRate) {
+    throw new Error('Tax rate not found');
+  }
+  return taxRate;
+};
+
+module.exports = {
+  DEFAULT_PPN_RATES,
+  roundAmount,
+  getPPNRate,
+  calculateTax,
+  calculateOfferTax,
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+};
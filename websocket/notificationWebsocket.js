@@ -1,16 +1,192 @@
 const { WebSocketServer } = require('ws');
 const { notificationsEvents } = require('../utils/notificationHelper');
-const Notification = require('../models/notification.model');
+const { entityEvents, canSubscribe } = require('../utils/entityEvents');
+const { verifyToken } = require('../utils/jwtHelper');
+const User = require('../models/user.model');
+
+const WS_PATH = '/notification';
+
+// Close codes sent to clients (4000-4999 are free for applications)
+const CLOSE_TOKEN_EXPIRED = 4001;
+const CLOSE_UNAUTHORIZED = 4003;
+
+// Topics one socket can subscribe to at the same time
+const MAX_TOPICS_PER_SOCKET = 50;
+
+// Read the JWT from the handshake: ?token=... (browsers) or an Authorization: Bearer header
+function getHandshakeToken(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Verify a token the same way as authenticateToken: valid signature and an active user
+async function authenticate(token) {
+  if (!token) {
+    throw new Error('Access token required');
+  }
+  const decoded = verifyToken(token);
+  const user = await User.findById(decoded.userId).select('isActive');
+  if (!user || !user.isActive) {
+    throw new Error('Invalid token or user not found');
+  }
+  return { userId: String(user._id), expiresAt: decoded.exp ? decoded.exp * 1000 : null };
+}
+
+// Reject an upgrade request with a plain HTTP response
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
 
 function setupNotificationWebsocket(server) {
-  const wss = new WebSocketServer({ server, path: '/notification' });
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Open sockets per user id; a user can have several tabs open
+  const socketsByUser = new Map();
+
+  function addSocket(userId, ws) {
+    if (!socketsByUser.has(userId)) socketsByUser.set(userId, new Set());
+    socketsByUser.get(userId).add(ws);
+  }
+
+  function removeSocket(userId, ws) {
+    const sockets = socketsByUser.get(userId);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) socketsByUser.delete(userId);
+  }
+
+  // Close the socket when its token expires; the client reconnects or refreshes with a new token
+  function scheduleExpiry(ws) {
+    clearTimeout(ws.expiryTimer);
+    if (!ws.expiresAt) return;
+    // setTimeout cannot wait longer than about 24.8 days
+    const delay = Math.min(Math.max(ws.expiresAt - Date.now(), 0), 2147483647);
+    ws.expiryTimer = setTimeout(() => ws.close(CLOSE_TOKEN_EXPIRED, 'Token expired'), delay);
+  }
+
+  // Open sockets per subscribed topic (quotation:<number>, rfq:<id>)
+  const socketsByTopic = new Map();
+
+  function subscribe(ws, topic) {
+    if (!socketsByTopic.has(topic)) socketsByTopic.set(topic, new Set());
+    socketsByTopic.get(topic).add(ws);
+    ws.topics.add(topic);
+  }
+
+  function unsubscribe(ws, topic) {
+    ws.topics.delete(topic);
+    const sockets = socketsByTopic.get(topic);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) socketsByTopic.delete(topic);
+  }
+
+  function sendToUser(userId, message) {
+    const sockets = socketsByUser.get(String(userId));
+    if (!sockets) return;
+    sockets.forEach((ws) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(message);
+      }
+    });
+  }
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    let auth;
+    try {
+      auth = await authenticate(getHandshakeToken(req));
+    } catch (error) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req, auth);
+    });
+  });
 
   const HEARTBEAT_MS = 30000;
   function heartbeat() { this.isAlive = true; }
 
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req, auth) => {
     ws.isAlive = true;
+    ws.userId = auth.userId;
+    ws.expiresAt = auth.expiresAt;
+    ws.topics = new Set();
+    addSocket(ws.userId, ws);
+    scheduleExpiry(ws);
+
     ws.on('pong', heartbeat);
+
+    // Client messages:
+    // - { type: 'subscribe', topic } / { type: 'unsubscribe', topic } for change events of a quotation or RFQ
+    // - { type: 'refresh', token } with a new token of the same user, to keep the connection open
+    //   past the expiry of the old one
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+
+      if (message.type === 'subscribe') {
+        const { topic } = message;
+        try {
+          if (ws.topics.size >= MAX_TOPICS_PER_SOCKET) {
+            throw new Error('Too many subscriptions');
+          }
+          // Permissions are checked against the current user record on every subscription
+          const user = await User.findById(ws.userId).populate('permissions', 'name type includes');
+          if (!(await canSubscribe(user, topic))) {
+            throw new Error('Topic not found or access denied');
+          }
+          subscribe(ws, topic);
+          ws.send(JSON.stringify({ type: 'subscribed', topic }));
+        } catch (error) {
+          ws.send(JSON.stringify({ type: 'error', topic, message: error.message }));
+        }
+        return;
+      }
+
+      if (message.type === 'unsubscribe') {
+        unsubscribe(ws, message.topic);
+        ws.send(JSON.stringify({ type: 'unsubscribed', topic: message.topic }));
+        return;
+      }
+
+      if (message.type !== 'refresh') return;
+
+      try {
+        const refreshed = await authenticate(message.token);
+        if (refreshed.userId !== ws.userId) {
+          ws.close(CLOSE_UNAUTHORIZED, 'Token belongs to another user');
+          return;
+        }
+        ws.expiresAt = refreshed.expiresAt;
+        scheduleExpiry(ws);
+        ws.send(JSON.stringify({ type: 'status', message: 'refreshed' }));
+      } catch (error) {
+        ws.close(CLOSE_UNAUTHORIZED, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+      }
+    });
+
+    ws.on('close', () => {
+      clearTimeout(ws.expiryTimer);
+      [...ws.topics].forEach(topic => unsubscribe(ws, topic));
+      removeSocket(ws.userId, ws);
+    });
+
     ws.send(JSON.stringify({ type: 'status', message: 'connected' }));
   });
 
@@ -24,11 +200,19 @@ function setupNotificationWebsocket(server) {
 
   wss.on('close', () => clearInterval(interval));
 
+  // Deliver each notification only to the sockets of its owner
   notificationsEvents.on('created', (payload) => {
-    const message = JSON.stringify({ type: 'notification', payload });
-    wss.clients.forEach((client) => {
-      if (client.readyState === client.OPEN) {
-        client.send(message);
+    sendToUser(payload.userId, JSON.stringify({ type: 'notification', payload }));
+  });
+
+  // Deliver quotation and RFQ changes to the topic's subscribers
+  entityEvents.on('change', (payload) => {
+    const sockets = socketsByTopic.get(payload.topic);
+    if (!sockets) return;
+    const message = JSON.stringify({ type: 'change', topic: payload.topic, payload });
+    sockets.forEach((ws) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(message);
       }
     });
   });